@@ -0,0 +1,13 @@
+/**
+ * Moonlight CSS Typed OM Polyfill — self-installing entry
+ *
+ * Polyfills the global object on load, as the <script> build does.
+ * Use this entry for side-effect imports: import 'css-typed-om-polyfill/auto';
+ */
+
+const moonlight = require('./cssom.js');
+
+globalThis.Moonlight ??= moonlight;
+moonlight.install();
+
+module.exports = moonlight;
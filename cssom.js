@@ -14,11 +14,10 @@
 
     // --- 0. Environment Check ---
     if (typeof global === 'undefined') return;
-    if (global.CSS && global.CSS.number && global.CSSNumericValue) {
-        console.log("%c Moonlight %c Native Support Detected. Sleeping. ",
-            "background:#bd93f9;color:white", "background:#333;color:white");
-        return;
-    }
+
+    // Checked per install() target; the engine itself always loads
+    const hasNativeSupport = (target) =>
+        !!(target.CSS && target.CSS.number && target.CSSNumericValue);
 
     // --- 1. High-Performance Constants ---
     const UNIT_MAP = {
@@ -41,14 +40,114 @@
         resolution: 0, flex: 0, percent: 0
     };
 
-    const STRICT_PROPS = {
-        'width': 1, 'height': 1, 'min-width': 1, 'min-height': 1,
-        'max-width': 1, 'max-height': 1,
-        'top': 1, 'left': 1, 'right': 1, 'bottom': 1,
-        'margin': 1, 'padding': 1, 'font-size': 1,
-        'transform': 1, 'rotate': 1, 'scale': 1, 'translate': 1,
-        'opacity': 1, 'z-index': 1,
-        'flex-grow': 1, 'flex-shrink': 1, 'order': 1
+    // Canonical unit per category, and each absolute unit's ratio to it
+    const CANONICAL_UNITS = {
+        length: 'px', angle: 'deg', time: 's',
+        frequency: 'Hz', resolution: 'dppx', percent: 'percent'
+    };
+
+    const UNIT_RATIOS = {
+        'percent': 1, '%': 1,
+        'px': 1, 'cm': 96 / 2.54, 'mm': 96 / 25.4, 'q': 96 / 101.6,
+        'in': 96, 'pt': 96 / 72, 'pc': 16,
+        'deg': 1, 'rad': 180 / Math.PI, 'grad': 0.9, 'turn': 360,
+        's': 1, 'ms': 0.001,
+        'Hz': 1, 'kHz': 1000,
+        'dppx': 1, 'dpi': 1 / 96, 'dpcm': 2.54 / 96
+    };
+
+    // Value grammars per property, in CSS value definition syntax.
+    // Listed properties are strict: values that fail to match throw.
+    const LENGTH_PERCENTAGE_AUTO = '<length-percentage> | auto';
+    const BORDER_WIDTH = '<length> | thin | medium | thick';
+    const BORDER_STYLE = 'none | hidden | dotted | dashed | solid | double | ' +
+        'groove | ridge | inset | outset';
+
+    const PROPERTY_SYNTAX = {
+        'width': LENGTH_PERCENTAGE_AUTO, 'height': LENGTH_PERCENTAGE_AUTO,
+        'min-width': LENGTH_PERCENTAGE_AUTO, 'min-height': LENGTH_PERCENTAGE_AUTO,
+        'max-width': '<length-percentage> | none',
+        'max-height': '<length-percentage> | none',
+        'top': LENGTH_PERCENTAGE_AUTO, 'left': LENGTH_PERCENTAGE_AUTO,
+        'right': LENGTH_PERCENTAGE_AUTO, 'bottom': LENGTH_PERCENTAGE_AUTO,
+        'margin-top': LENGTH_PERCENTAGE_AUTO, 'margin-right': LENGTH_PERCENTAGE_AUTO,
+        'margin-bottom': LENGTH_PERCENTAGE_AUTO, 'margin-left': LENGTH_PERCENTAGE_AUTO,
+        'padding-top': '<length-percentage>', 'padding-right': '<length-percentage>',
+        'padding-bottom': '<length-percentage>', 'padding-left': '<length-percentage>',
+        'border-top-width': BORDER_WIDTH, 'border-right-width': BORDER_WIDTH,
+        'border-bottom-width': BORDER_WIDTH, 'border-left-width': BORDER_WIDTH,
+        'border-top-style': BORDER_STYLE, 'border-right-style': BORDER_STYLE,
+        'border-bottom-style': BORDER_STYLE, 'border-left-style': BORDER_STYLE,
+        'font-size': '<length-percentage> | xx-small | x-small | small | medium | ' +
+            'large | x-large | xx-large | xxx-large | larger | smaller',
+        'line-height': '<number> | <length-percentage> | normal',
+        'font-weight': '<number> | normal | bold | bolder | lighter',
+        'font-stretch': '<percentage> | normal | ultra-condensed | extra-condensed | ' +
+            'condensed | semi-condensed | semi-expanded | expanded | ' +
+            'extra-expanded | ultra-expanded',
+        'letter-spacing': '<length-percentage> | normal',
+        'row-gap': '<length-percentage> | normal',
+        'column-gap': '<length-percentage> | normal',
+        'transform': '<transform-list> | none',
+        'opacity': '<number> | <percentage>',
+        'z-index': '<integer> | auto',
+        'flex-grow': '<number>', 'flex-shrink': '<number>',
+        'flex-basis': '<length-percentage> | auto | content',
+        'order': '<integer>',
+        'color': '<color>', 'background-color': '<color>',
+        'border-top-color': '<color>', 'border-right-color': '<color>',
+        'border-bottom-color': '<color>', 'border-left-color': '<color>',
+        'outline-color': '<color>', 'text-decoration-color': '<color>',
+        'column-rule-color': '<color>',
+        'caret-color': '<color> | auto', 'accent-color': '<color> | auto',
+        // List-valued longhands: each comma-separated item is checked
+        'transition-duration': '<time>', 'transition-delay': '<time>',
+        'animation-duration': '<time>', 'animation-delay': '<time>',
+        'animation-iteration-count': '<number> | infinite',
+        'animation-direction': 'normal | reverse | alternate | alternate-reverse',
+        'animation-fill-mode': 'none | forwards | backwards | both',
+        'animation-play-state': 'running | paused'
+    };
+
+    // Ranges the syntax strings cannot express. Only literal values are
+    // checked: a calc() outside the range is clamped when computed.
+    const NON_NEGATIVE = [0, Infinity];
+    const PROPERTY_RANGES = {
+        'width': NON_NEGATIVE, 'height': NON_NEGATIVE,
+        'min-width': NON_NEGATIVE, 'min-height': NON_NEGATIVE,
+        'max-width': NON_NEGATIVE, 'max-height': NON_NEGATIVE,
+        'padding-top': NON_NEGATIVE, 'padding-right': NON_NEGATIVE,
+        'padding-bottom': NON_NEGATIVE, 'padding-left': NON_NEGATIVE,
+        'border-top-width': NON_NEGATIVE, 'border-right-width': NON_NEGATIVE,
+        'border-bottom-width': NON_NEGATIVE, 'border-left-width': NON_NEGATIVE,
+        'font-size': NON_NEGATIVE, 'line-height': NON_NEGATIVE,
+        'font-weight': [1, 1000], 'font-stretch': NON_NEGATIVE,
+        'row-gap': NON_NEGATIVE, 'column-gap': NON_NEGATIVE,
+        'flex-grow': NON_NEGATIVE, 'flex-shrink': NON_NEGATIVE,
+        'flex-basis': NON_NEGATIVE,
+        'transition-duration': NON_NEGATIVE, 'animation-duration': NON_NEGATIVE,
+        'animation-iteration-count': NON_NEGATIVE
+    };
+
+    // List-valued properties: getAll()/parseAll() reify each comma-separated item
+    const COMMA_SEPARATED_PROPS = {
+        'transition': 1, 'transition-property': 1, 'transition-duration': 1,
+        'transition-timing-function': 1, 'transition-delay': 1,
+        'animation': 1, 'animation-name': 1, 'animation-duration': 1,
+        'animation-timing-function': 1, 'animation-delay': 1,
+        'animation-iteration-count': 1, 'animation-direction': 1,
+        'animation-fill-mode': 1, 'animation-play-state': 1,
+        'box-shadow': 1, 'text-shadow': 1,
+        'background': 1, 'background-image': 1, 'background-position': 1,
+        'background-size': 1, 'background-repeat': 1, 'background-origin': 1,
+        'background-clip': 1, 'background-attachment': 1,
+        'mask-image': 1, 'font-family': 1, 'will-change': 1,
+        'stroke-dasharray': 1,
+        'transform': 0  // Space-separated
+    };
+
+    const CSS_WIDE_KEYWORDS = {
+        'inherit': 1, 'initial': 1, 'unset': 1, 'revert': 1, 'revert-layer': 1
     };
 
     // LRU Cache for kebab-case conversion
@@ -79,44 +178,144 @@
 
     // --- 2. Algebraic Engine ---
 
+    // --- 2.0 Numeric Types (spec: CSSNumericType) ---
+    // A type maps base types to integer powers (zero entries are omitted) and
+    // may carry a percentHint naming the base type that percentages resolve
+    // against, e.g. calc(100% - 20px) is { length: 1, percentHint: 'length' }.
+
+    const BASE_TYPE_KEYS = Object.keys(BASE_TYPES);
+
     const createType = (unit) => {
-        const t = { ...BASE_TYPES };
         const cat = UNIT_MAP[unit];
         if (!cat) {
             throw new TypeError(`Unknown unit: ${unit}`);
         }
-        if (cat !== 'number' && t.hasOwnProperty(cat)) {
-            t[cat] = 1;
+        return cat === 'number' ? {} : { [cat]: 1 };
+    };
+
+    const applyPercentHint = (type, hint) => {
+        const t = { ...type };
+        if (t.percent) {
+            const p = (t[hint] || 0) + t.percent;
+            delete t.percent;
+            if (p === 0) {
+                delete t[hint];
+            } else {
+                t[hint] = p;
+            }
         }
+        t.percentHint = hint;
         return t;
     };
 
-    // Type compatibility checker
-    const areTypesCompatible = (type1, type2) => {
-        // Special case: percent and length are compatible in CSS
-        // e.g., calc(100% - 20px) is valid
-        const hasPercent1 = type1.percent > 0;
-        const hasPercent2 = type2.percent > 0;
-        const hasLength1 = type1.length > 0;
-        const hasLength2 = type2.length > 0;
+    // Aligns percent hints before combining; null if they conflict
+    const alignHints = (type1, type2) => {
+        const h1 = type1.percentHint, h2 = type2.percentHint;
+        if (h1 && h2 && h1 !== h2) return null;
+        if (h1 && !h2) return [type1, applyPercentHint(type2, h1)];
+        if (h2 && !h1) return [applyPercentHint(type1, h2), type2];
+        return [type1, type2];
+    };
+
+    const typeEntriesMatch = (type1, type2) =>
+        BASE_TYPE_KEYS.every(k => (type1[k] || 0) === (type2[k] || 0));
+
+    const addTypes = (type1, type2) => {
+        const aligned = alignHints(type1, type2);
+        if (!aligned) return null;
+        const [a, b] = aligned;
 
-        // If one has percent and the other has length (but not both), they're compatible
-        if ((hasPercent1 || hasLength1) && (hasPercent2 || hasLength2)) {
-            // Check all other dimensions are zero
-            for (let key in BASE_TYPES) {
-                if (key === 'percent' || key === 'length') continue;
-                if (type1[key] !== 0 || type2[key] !== 0) return false;
+        if (typeEntriesMatch(a, b)) return { ...a };
+
+        // calc(% + <length>): try resolving the percentage as each base type
+        if (a.percent || b.percent) {
+            for (let hint of BASE_TYPE_KEYS) {
+                if (hint === 'percent') continue;
+                const ha = applyPercentHint(a, hint);
+                if (typeEntriesMatch(ha, applyPercentHint(b, hint))) return ha;
             }
-            return true;
         }
+        return null;
+    };
 
-        // Otherwise, types must match exactly
-        for (let key in BASE_TYPES) {
-            if (type1[key] !== type2[key]) return false;
+    const multiplyTypes = (type1, type2) => {
+        const aligned = alignHints(type1, type2);
+        if (!aligned) return null;
+        const [a, b] = aligned;
+
+        const res = { ...a };
+        for (let k of BASE_TYPE_KEYS) {
+            const p = (a[k] || 0) + (b[k] || 0);
+            if (p === 0) {
+                delete res[k];
+            } else {
+                res[k] = p;
+            }
         }
-        return true;
+        return res;
     };
 
+    const invertType = (type) => {
+        const res = {};
+        for (let k of BASE_TYPE_KEYS) {
+            if (type[k]) res[k] = -type[k];
+        }
+        if (type.percentHint) res.percentHint = type.percentHint;
+        return res;
+    };
+
+    const describeType = (type) => {
+        const parts = BASE_TYPE_KEYS
+            .filter(k => type[k])
+            .map(k => type[k] === 1 ? k : `${k}^${type[k]}`);
+        return parts.length ? parts.join('*') : 'number';
+    };
+
+    // Folds operand types; operands of unknown type (variables) are skipped
+    const combineTypes = (values, combine, label) => {
+        let acc = null;
+        for (let v of values) {
+            const t = resolveType(v);
+            if (!t) continue;
+            if (!acc) {
+                acc = t;
+                continue;
+            }
+            const next = combine(acc, t);
+            if (!next) {
+                throw new TypeError(
+                    `Incompatible types in ${label}: Cannot combine ${describeType(acc)} and ${describeType(t)}`
+                );
+            }
+            acc = next;
+        }
+        return acc;
+    };
+
+    // Resolves the type of a numeric tree, or null when it depends on a var()
+    function resolveType(v) {
+        if (v instanceof CSSUnitValue) return createType(v.unit);
+        if (v instanceof CSSMathSum) return combineTypes(v.values, addTypes, 'sum');
+        if (v instanceof CSSMathMin) return combineTypes(v.values, addTypes, 'min()');
+        if (v instanceof CSSMathMax) return combineTypes(v.values, addTypes, 'max()');
+        if (v instanceof CSSMathClamp) {
+            return combineTypes([v.lower, v.value, v.upper], addTypes, 'clamp()');
+        }
+        if (v instanceof CSSMathProduct) {
+            if (v.values.some(x => !resolveType(x))) return null;
+            return combineTypes(v.values, multiplyTypes, 'product');
+        }
+        if (v instanceof CSSMathNegate) return resolveType(v.value);
+        if (v instanceof CSSMathInvert) {
+            const t = resolveType(v.value);
+            return t && invertType(t);
+        }
+        if (v instanceof CSSMathFunction) {
+            return MATH_FUNCTION_RULES[v.operator].type(v.values.map(resolveType), v.operator);
+        }
+        return null;
+    }
+
     function simplifySum(args, _skipRecursion = false) {
         const hasVar = args.some(a => a instanceof CSSVariableReferenceValue);
 
@@ -140,67 +339,69 @@
         }
         const target = hasSum ? flat : args;
 
-        // If variables exist, return without folding
-        if (hasVar) {
-            return target.length === 1 ? target[0] : target;
-        }
-
-        // Type compatibility check
-        let hasNum = false;
-        let hasDimension = false;
-        let firstDimType = null;
+        // Type check: all known operands must add up to a common type,
+        // e.g. calc(100% - 20px) is fine but calc(0 + 10px) is not
+        const type = combineTypes(target, addTypes, 'sum');
 
-        for (let arg of target) {
-            if (arg instanceof CSSUnitValue) {
-                if (arg.unit === 'number') {
-                    hasNum = true;
-                } else {
-                    hasDimension = true;
-                    const argType = arg.type();
-
-                    if (!firstDimType) {
-                        firstDimType = argType;
-                    } else if (!areTypesCompatible(firstDimType, argType)) {
-                        throw new TypeError(
-                            `Incompatible types in sum: Cannot add ${JSON.stringify(firstDimType)} and ${JSON.stringify(argType)}`
-                        );
-                    }
-                }
-            }
+        const terms = cancelTerms(target);
+        // 2 * a - a is just a
+        if (terms !== target && terms.length === 1 && terms[0] instanceof CSSMathValue) {
+            return terms[0];
         }
 
-        // Pure numbers cannot mix with dimensions
-        if (hasNum && hasDimension) {
-            throw new TypeError("Incompatible types: Cannot add Number and Dimension.");
+        // If variables exist, return without folding
+        if (hasVar) {
+            return terms.length === 1 ? terms[0] : terms;
         }
 
         // Fold compatible units (only exact same unit)
         const bucket = {};
+        const count = {};
         const complex = [];
 
-        for (let arg of target) {
+        for (let arg of terms) {
             if (arg instanceof CSSUnitValue) {
                 // Only fold identical units, not compatible ones (e.g., don't fold % and px)
                 bucket[arg.unit] = (bucket[arg.unit] || 0) + arg.value;
+                count[arg.unit] = (count[arg.unit] || 0) + 1;
             } else {
                 complex.push(arg);
             }
         }
 
+        // Terms that cancelled out are dropped; a lone zero of the sum's
+        // type stands in when nothing else is left
         const folded = [];
         for (let u in bucket) {
+            if (bucket[u] === 0 && count[u] > 1) continue;
             folded.push(new CSSUnitValue(bucket[u], u));
         }
 
         const result = [...folded, ...complex];
-        if (result.length === 0) return new CSSUnitValue(0, 'number');
+        if (result.length === 0) {
+            return zeroOfType(type) ||
+                new CSSUnitValue(0, Object.keys(bucket)[0] || 'number');
+        }
         if (result.length === 1 && complex.length === 0) return result[0];
 
         return result;
     }
 
+    // Returns a CSSNumericValue, a new factor list, or null to keep `args`
     function simplifyProduct(args) {
-        if (args.some(a => a instanceof CSSVariableReferenceValue)) return null;
+        // Type check: rejects conflicting percent hints
+        combineTypes(args, multiplyTypes, 'product');
+
+        const factors = cancelFactors(args);
+        const changed = factors.length !== args.length ||
+            factors.some((f, i) => f !== args[i]);
+        if (changed && factors.length <= 1) {
+            return factors[0] || new CSSUnitValue(1, 'number');
+        }
+        if (factors.some(a => a instanceof CSSVariableReferenceValue)) {
+            return changed ? factors : null;
+        }
+        args = factors;
 
         let scalar = 1;
         let unitVal = null;
@@ -220,9 +421,6 @@
             } else if (arg instanceof CSSMathInvert &&
                 arg.value instanceof CSSUnitValue &&
                 arg.value.unit === 'number') {
-                if (arg.value.value === 0) {
-                    throw new RangeError("Division by zero");
-                }
                 val = 1 / arg.value.value;
             }
 
@@ -248,7 +446,6 @@
             }
         }
 
-        if (scalar === 0) return new CSSUnitValue(0, 'number');
         if (!unitVal && !sumNode && other.length === 0) {
             return new CSSUnitValue(scalar, 'number');
         }
@@ -264,15 +461,570 @@
             return new CSSMathSum(...distributed);
         }
 
+        return changed ? factors : null;
+    }
+
+    // --- 2.1 Sum Values (spec: "create a sum value") ---
+    // A sum value is a flat list of { value, unit } items, where `unit` maps
+    // unit names to integer powers ({} for plain numbers). Absolute units are
+    // normalised to their canonical unit, so `1in + 2.54cm` becomes one item.
+
+    const convertUnit = (value, from, to) => {
+        if (from === to) return value;
+        const catFrom = UNIT_MAP[from];
+        if (!catFrom || catFrom !== UNIT_MAP[to]) return null;
+        if (!UNIT_RATIOS.hasOwnProperty(from) || !UNIT_RATIOS.hasOwnProperty(to)) {
+            return null;
+        }
+        return value * UNIT_RATIOS[from] / UNIT_RATIOS[to];
+    };
+
+    const sameUnitMap = (a, b) => {
+        const ka = Object.keys(a);
+        if (ka.length !== Object.keys(b).length) return false;
+        return ka.every(k => a[k] === b[k]);
+    };
+
+    const multiplyUnitMaps = (a, b) => {
+        const res = { ...a };
+        for (let k in b) {
+            const p = (res[k] || 0) + b[k];
+            if (p === 0) {
+                delete res[k];
+            } else {
+                res[k] = p;
+            }
+        }
+        return res;
+    };
+
+    const addSumItem = (items, item) => {
+        const match = items.find(i => sameUnitMap(i.unit, item.unit));
+        if (match) {
+            match.value += item.value;
+        } else {
+            items.push(item);
+        }
+    };
+
+    // Reduces an argument list (min/max/clamp) to single comparable items
+    const singleItems = (values) => {
+        const items = [];
+        for (let v of values) {
+            const s = createSumValue(v);
+            if (!s || s.length !== 1) return null;
+            if (items.length && !sameUnitMap(items[0].unit, s[0].unit)) return null;
+            items.push(s[0]);
+        }
+        return items;
+    };
+
+    function createSumValue(v) {
+        if (v instanceof CSSUnitValue) {
+            if (v.unit === 'number') return [{ value: v.value, unit: {} }];
+
+            let unit = v.unit;
+            let value = v.value;
+            const canonical = CANONICAL_UNITS[UNIT_MAP[unit]];
+            if (canonical && UNIT_RATIOS.hasOwnProperty(unit)) {
+                value = convertUnit(value, unit, canonical);
+                unit = canonical;
+            }
+            return [{ value, unit: { [unit]: 1 } }];
+        }
+
+        if (v instanceof CSSMathSum) {
+            const items = [];
+            for (let child of v.values) {
+                const s = createSumValue(child);
+                if (!s) return null;
+                s.forEach(item => addSumItem(items, item));
+            }
+            return items;
+        }
+
+        if (v instanceof CSSMathNegate) {
+            const s = createSumValue(v.value);
+            if (!s) return null;
+            return s.map(i => ({ value: -i.value, unit: i.unit }));
+        }
+
+        if (v instanceof CSSMathProduct) {
+            let items = [{ value: 1, unit: {} }];
+            for (let child of v.values) {
+                const s = createSumValue(child);
+                if (!s) return null;
+                const next = [];
+                for (let a of items) {
+                    for (let b of s) {
+                        addSumItem(next, {
+                            value: a.value * b.value,
+                            unit: multiplyUnitMaps(a.unit, b.unit)
+                        });
+                    }
+                }
+                items = next;
+            }
+            return items;
+        }
+
+        if (v instanceof CSSMathInvert) {
+            const s = createSumValue(v.value);
+            if (!s || s.length !== 1) return null;
+            const unit = {};
+            for (let k in s[0].unit) unit[k] = -s[0].unit[k];
+            return [{ value: 1 / s[0].value, unit }];
+        }
+
+        if (v instanceof CSSMathMin || v instanceof CSSMathMax) {
+            const items = singleItems(v.values);
+            if (!items) return null;
+            const pick = v instanceof CSSMathMin ? Math.min : Math.max;
+            return [{
+                value: pick(...items.map(i => i.value)),
+                unit: items[0].unit
+            }];
+        }
+
+        if (v instanceof CSSMathClamp) {
+            const items = singleItems([v.lower, v.value, v.upper]);
+            if (!items) return null;
+            const [lo, val, hi] = items.map(i => i.value);
+            return [{ value: Math.max(lo, Math.min(val, hi)), unit: items[0].unit }];
+        }
+
+        // Variables and unknown nodes cannot be reduced
+        return null;
+    }
+
+    function hasVariable(v) {
+        if (v instanceof CSSVariableReferenceValue) return true;
+        if (v instanceof CSSMathSum || v instanceof CSSMathProduct ||
+            v instanceof CSSMathMin || v instanceof CSSMathMax) {
+            return v.values.some(hasVariable);
+        }
+        if (v instanceof CSSMathNegate || v instanceof CSSMathInvert) {
+            return hasVariable(v.value);
+        }
+        if (v instanceof CSSMathClamp) {
+            return [v.lower, v.value, v.upper].some(hasVariable);
+        }
+        if (v instanceof CSSMathFunction) return v.values.some(hasVariable);
+        return false;
+    }
+
+    // Converts a single sum value item back into a CSSUnitValue (or null)
+    const sumItemToUnitValue = (item) => {
+        const keys = Object.keys(item.unit);
+        if (keys.length === 0) return new CSSUnitValue(item.value, 'number');
+        if (keys.length > 1 || item.unit[keys[0]] !== 1) return null;
+        return new CSSUnitValue(item.value, keys[0]);
+    };
+
+    // Orders two numeric values: -1, 0 or 1. Returns null when the order
+    // depends on context (10% vs 10px, 1em vs 1px) or either side is NaN.
+    const compareValues = (a, b) => {
+        const ta = resolveType(a), tb = resolveType(b);
+        if (ta && tb && !addTypes(ta, tb)) {
+            throw new TypeError(`Cannot compare ${a} and ${b}: ${describeType(ta)} and ${describeType(tb)} are incompatible`);
+        }
+        const sa = createSumValue(a), sb = createSumValue(b);
+        if (!sa || !sb || sa.length !== 1 || sb.length !== 1) return null;
+        if (!sameUnitMap(sa[0].unit, sb[0].unit)) return null;
+        const x = sa[0].value, y = sb[0].value;
+        if (Number.isNaN(x) || Number.isNaN(y)) return null;
+        return numbersEqual(x, y) ? 0 : (x < y ? -1 : 1);
+    };
+
+    // Strings are parsed, numbers become <number>s
+    const rectifyNumeric = (v) => typeof v === 'string'
+        ? CSSNumericValue.parse(v)
+        : CSSNumericValue.from(v);
+
+    const isNaNValue = (v) => v instanceof CSSUnitValue && Number.isNaN(v.value);
+
+    // Flattens min(min(a, b), c) and keeps the winner of each group of
+    // comparable plain values. Returns a single value once one is left.
+    const simplifyMinMax = (Kind, args) => {
+        const flat = [];
+        for (let a of args) {
+            if (a instanceof Kind) flat.push(...a.values);
+            else flat.push(a);
+        }
+        const nan = flat.find(isNaNValue);
+        if (nan) return nan;
+
+        const sign = Kind === CSSMathMin ? -1 : 1;
+        const kept = [];
+        for (let v of flat) {
+            const i = v instanceof CSSUnitValue
+                ? kept.findIndex(k => k instanceof CSSUnitValue && compareValues(k, v) !== null)
+                : -1;
+            if (i === -1) kept.push(v);
+            else if (compareValues(v, kept[i]) === sign) kept[i] = v;
+        }
+        return kept.length === 1 ? kept[0] : kept;
+    };
+
+    // clamp(lower, value, upper) == max(lower, min(value, upper)); lower wins
+    // when the bounds cross. Returns null while the order is unknown.
+    const simplifyClamp = (lower, value, upper) => {
+        const nan = [lower, value, upper].find(isNaNValue);
+        if (nan) return nan;
+        const lu = compareValues(lower, upper);
+        if (lu !== null && lu >= 0) return lower;
+        const vl = compareValues(value, lower);
+        if (vl !== null && vl <= 0) return lower;
+        const vu = compareValues(value, upper);
+        if (vu !== null && vu >= 0 && lu !== null) return upper;
+        if (vl !== null && vu !== null && vu < 0) return value;
         return null;
+    };
+
+    // Builds a CSSMathSum as-is, bypassing the simplifying constructor
+    const createRawSum = (values) => {
+        const sum = Object.create(CSSMathSum.prototype);
+        sum.values = values;
+        return sum;
+    };
+
+    // --- 2.2 Structural Equality ---
+    // Sums, products, min() and max() are commutative, so their operands are
+    // matched as multisets. Numbers compare with a relative tolerance to
+    // absorb floating-point noise from folding (0.1px + 0.2px vs 0.3px).
+
+    const EPSILON = 1e-9;
+
+    const numbersEqual = (a, b) =>
+        a === b || (Number.isNaN(a) && Number.isNaN(b)) ||
+        (Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a), Math.abs(b)));
+
+    const unorderedEqual = (a, b) => {
+        if (a.length !== b.length) return false;
+        const used = new Array(b.length).fill(false);
+        return a.every(x => {
+            const i = b.findIndex((y, j) => !used[j] && valuesEqual(x, y));
+            if (i === -1) return false;
+            used[i] = true;
+            return true;
+        });
+    };
+
+    function valuesEqual(a, b) {
+        if (a === b) return true;
+        if (!a || !b || a.constructor !== b.constructor) return false;
+
+        if (a instanceof CSSUnitValue) {
+            return a.unit === b.unit && numbersEqual(a.value, b.value);
+        }
+        if (a instanceof CSSMathSum || a instanceof CSSMathProduct ||
+            a instanceof CSSMathMin || a instanceof CSSMathMax) {
+            return unorderedEqual(a.values, b.values);
+        }
+        if (a instanceof CSSMathNegate || a instanceof CSSMathInvert) {
+            return valuesEqual(a.value, b.value);
+        }
+        if (a instanceof CSSMathClamp) {
+            return valuesEqual(a.lower, b.lower) &&
+                valuesEqual(a.value, b.value) &&
+                valuesEqual(a.upper, b.upper);
+        }
+        if (a instanceof CSSMathFunction) {
+            // Arguments are positional, unlike min() and max()
+            return a.strategy === b.strategy &&
+                a.values.length === b.values.length &&
+                a.values.every((v, i) => valuesEqual(v, b.values[i]));
+        }
+        if (a instanceof CSSVariableReferenceValue) {
+            return a.variable === b.variable && valuesEqual(a.fallback, b.fallback);
+        }
+        if (a instanceof CSSUnparsedValue) {
+            return a.members.length === b.members.length &&
+                a.members.every((m, i) => typeof m === 'string'
+                    ? m === b.members[i]
+                    : valuesEqual(m, b.members[i]));
+        }
+        if (a instanceof CSSKeywordValue) {
+            return a.value === b.value;
+        }
+        return false;
+    }
+
+    // --- 2.3 Cancellation ---
+    // Like terms cancel across a sum (a - a, 2 * a - a) and a factor cancels
+    // its inverse across a product (a * b / a). Plain dimensions in a product
+    // multiply through their unit powers, so (2px * 3px) / 1px is 6px.
+    // Nothing containing a var() is cancelled.
+
+    // Builds a CSSMathProduct as-is, bypassing the simplifying constructor
+    const createRawProduct = (values) => {
+        const product = Object.create(CSSMathProduct.prototype);
+        product.values = values;
+        return product;
+    };
+
+    // A zero of the given type (0px for lengths), or null for compound types
+    const zeroOfType = (type) => {
+        if (!type) return null;
+        const bases = Object.keys(type).filter(k => k !== 'percentHint' && type[k]);
+        if (bases.length === 0) return new CSSUnitValue(0, 'number');
+        if (bases.length > 1 || type[bases[0]] !== 1) return null;
+        const unit = CANONICAL_UNITS[bases[0]];
+        return unit ? new CSSUnitValue(0, unit) : null;
+    };
+
+    // Splits a sum term into a numeric coefficient and the rest: 3 * a -> [3, a]
+    function splitTerm(t) {
+        if (t instanceof CSSMathNegate) {
+            const [c, base] = splitTerm(t.value);
+            return [-c, base];
+        }
+        if (t instanceof CSSMathProduct) {
+            let c = 1;
+            const rest = [];
+            for (let f of t.values) {
+                if (f instanceof CSSUnitValue && f.unit === 'number') c *= f.value;
+                else rest.push(f);
+            }
+            if (rest.length) return [c, rest.length === 1 ? rest[0] : createRawProduct(rest)];
+        }
+        return [1, t];
+    }
+
+    // Merges like non-unit terms. Terms holding a var() are left alone: the
+    // substituted tokens may not be a single value, or may be invalid.
+    function cancelTerms(terms) {
+        const groups = [];
+        for (let t of terms) {
+            if (t instanceof CSSUnitValue || hasVariable(t)) {
+                groups.push({ terms: [t] });
+                continue;
+            }
+            const [c, base] = splitTerm(t);
+            const g = groups.find(g => g.base && valuesEqual(g.base, base));
+            if (g) {
+                g.coefficient += c;
+                g.terms.push(t);
+            } else {
+                groups.push({ base, coefficient: c, terms: [t] });
+            }
+        }
+        if (groups.every(g => g.terms.length === 1)) return terms;
+
+        const result = [];
+        for (let g of groups) {
+            if (g.terms.length === 1) {
+                result.push(g.terms[0]);
+            } else if (g.coefficient === 0) {
+                continue; // The sum falls back to a typed zero if nothing is left
+            } else if (g.coefficient === 1) {
+                result.push(g.base);
+            } else if (g.coefficient === -1) {
+                result.push(new CSSMathNegate(g.base));
+            } else {
+                result.push(new CSSMathProduct(new CSSUnitValue(g.coefficient, 'number'), g.base));
+            }
+        }
+        return result;
+    }
+
+    // Flattens nested products, drops x / x pairs and multiplies plain
+    // dimensions (and their inverses) into a single CSSUnitValue when the
+    // resulting unit powers allow it.
+    function cancelFactors(args) {
+        let factors = [];
+        for (let a of args) {
+            if (a instanceof CSSMathProduct) factors.push(...a.values);
+            else factors.push(a);
+        }
+
+        for (let i = 0; i < factors.length; i++) {
+            const f = factors[i];
+            if (!(f instanceof CSSMathInvert)) continue;
+            if (hasVariable(f)) continue;
+            const j = factors.findIndex(x => !(x instanceof CSSMathInvert) &&
+                !(x instanceof CSSUnitValue) && valuesEqual(x, f.value));
+            if (j !== -1) {
+                factors = factors.filter((_, k) => k !== i && k !== j);
+                i = -1;
+            }
+        }
+
+        const isDimension = (f) => f instanceof CSSUnitValue && f.unit !== 'number';
+        const dims = factors.filter(f => isDimension(f) ||
+            (f instanceof CSSMathInvert && isDimension(f.value)));
+        if (dims.length < 2) return factors;
+
+        const items = createSumValue(createRawProduct(dims));
+        const merged = items && items.length === 1 && sumItemToUnitValue(items[0]);
+        if (!merged) return factors;
+        const at = factors.indexOf(dims[0]);
+        return factors.filter((f, k) => k === at || !dims.includes(f))
+            .map((f, k) => k === at ? merged : f);
+    }
+
+    // --- 2.4 Variable Substitution ---
+
+    // Reifies substituted text: a numeric/keyword value when it parses as
+    // one expression, otherwise a token stream. Inside a math function,
+    // constants such as `infinity` are numbers.
+    const reifyText = (text, inMath) => {
+        text = text.trim();
+        try {
+            const s = new Scanner(text);
+            if (inMath) s.mathDepth = 1;
+            s.scan();
+            const v = Parser.expr(s);
+            if (s.type === TT.EOF) return v;
+        } catch (e) { }
+        return parseUnparsed(text);
+    };
+
+    // Computed values clamp a non-finite result: NaN becomes 0 and the
+    // infinities the largest finite values
+    const clampNonFinite = (v) => {
+        if (!(v instanceof CSSUnitValue) || Number.isFinite(v.value)) return v;
+        const value = Number.isNaN(v.value) ? 0 : Math.sign(v.value) * Number.MAX_VALUE;
+        return new CSSUnitValue(value, v.unit);
+    };
+
+    // Collapses a fully numeric tree to a single unit value when possible
+    const foldValue = (v) => {
+        if (!(v instanceof CSSMathValue)) return v;
+        const sum = createSumValue(v);
+        return (sum && sum.length === 1 && sumItemToUnitValue(sum[0])) || v;
+    };
+
+    // Replaces var() references throughout a value. `lookup` maps a custom
+    // property name to its value (text or CSSStyleValue), or null if unset.
+    function substituteVariables(value, lookup) {
+        const unresolved = new Set();
+        const result = substituteNode(value, lookup, [], unresolved);
+
+        if (unresolved.size) {
+            throw new TypeError(
+                `Unresolved variable references: ${[...unresolved].join(', ')}`
+            );
+        }
+        return foldValue(result);
+    }
+
+    // `stack` holds the names being expanded, to detect cycles; `inMath`
+    // marks operands of a math function
+    function substituteNode(v, lookup, stack, unresolved, inMath = false) {
+        const sub = (x) => substituteNode(x, lookup, stack, unresolved, true);
+
+        if (v instanceof CSSVariableReferenceValue) {
+            return substituteReference(v, lookup, stack, unresolved, inMath);
+        }
+        if (v instanceof CSSMathSum) return new CSSMathSum(...v.values.map(sub));
+        if (v instanceof CSSMathProduct) return new CSSMathProduct(...v.values.map(sub));
+        if (v instanceof CSSMathMin) return new CSSMathMin(...v.values.map(sub));
+        if (v instanceof CSSMathMax) return new CSSMathMax(...v.values.map(sub));
+        if (v instanceof CSSMathNegate) return new CSSMathNegate(sub(v.value));
+        if (v instanceof CSSMathInvert) return new CSSMathInvert(sub(v.value));
+        if (v instanceof CSSMathClamp) {
+            return new CSSMathClamp(sub(v.lower), sub(v.value), sub(v.upper));
+        }
+        if (v instanceof CSSMathFunction) return v._map(sub);
+        if (v instanceof CSSUnparsedValue) {
+            return reifyText(substituteText(v, lookup, stack, unresolved), inMath);
+        }
+        return v;
+    }
+
+    // A reference inside a parsed math tree. The tree no longer knows where
+    // the source had parentheses, so only a single-component binding can
+    // replace it without changing precedence.
+    function substituteReference(ref, lookup, stack, unresolved, inMath) {
+        const text = referenceText(ref, lookup, stack, unresolved).trim();
+
+        if (inMath && !isSingleComponent(text)) {
+            throw new TypeError(
+                `Cannot substitute ${ref.variable} into a math expression: "${text}" is not a single value`
+            );
+        }
+        return reifyText(text, inMath);
+    }
+
+    // Token-level substitution (as in CSS): each reference is replaced by
+    // its binding's text, and the result is parsed as a whole
+    function substituteText(v, lookup, stack, unresolved) {
+        if (typeof v === 'string') return v;
+        if (v instanceof CSSVariableReferenceValue) {
+            return referenceText(v, lookup, stack, unresolved);
+        }
+        if (v instanceof CSSUnparsedValue) {
+            return v.members.map(m => substituteText(m, lookup, stack, unresolved)).join('');
+        }
+        return String(v);
+    }
+
+    function referenceText(ref, lookup, stack, unresolved) {
+        const name = ref.variable;
+
+        if (stack.includes(name)) {
+            throw new TypeError(
+                `Cyclic variable reference: ${[...stack, name].join(' -> ')}`
+            );
+        }
+
+        let bound = lookup(name);
+        if (typeof bound === 'string') bound = bound.trim();
+
+        // Unset: use the fallback, itself substituted in the current scope
+        if (bound == null || bound === '') {
+            if (!ref.fallback) {
+                unresolved.add(name);
+                return String(ref);
+            }
+            return substituteText(ref.fallback, lookup, stack, unresolved).trim();
+        }
+
+        if (typeof bound === 'number' || bound instanceof CSSStyleValue) bound = String(bound);
+        if (typeof bound !== 'string') {
+            throw new TypeError(`Invalid binding for ${name}: ${bound}`);
+        }
+
+        return substituteText(parseUnparsed(bound), lookup, [...stack, name], unresolved);
     }
 
+    // Whether text is one component value: a single token, or one function
+    // or parenthesized block
+    const isSingleComponent = (text) => {
+        try {
+            const s = new Scanner(text);
+            s.scan();
+            if (s.type === TT.FUNC || s.type === TT.OPEN) {
+                return findClose(text, s.pos) === text.length - 1;
+            }
+            s.scan();
+            return s.type === TT.EOF;
+        } catch (e) {
+            return false;
+        }
+    };
+
     // --- 3. The Lexer (Moonlight Scanner) ---
     const TT = {
         EOF: 0, ERR: 1, NUM: 2, DIM: 3, OP: 4,
         OPEN: 5, CLOSE: 6, COMMA: 7, IDENT: 8, FUNC: 9
     };
 
+    // Functions that produce a numeric value (a single component value)
+    const MATH_FUNCS = {
+        calc: 1, min: 1, max: 1, clamp: 1,
+        round: 1, mod: 1, rem: 1, abs: 1, sign: 1,
+        sin: 1, cos: 1, tan: 1, asin: 1, acos: 1, atan: 1, atan2: 1,
+        pow: 1, sqrt: 1, hypot: 1, log: 1, exp: 1
+    };
+
+    // Numeric constants, valid only inside math functions (case-insensitive)
+    const MATH_CONSTANTS = {
+        'e': Math.E, 'pi': Math.PI,
+        'infinity': Infinity, '-infinity': -Infinity, 'nan': NaN
+    };
+
     class Scanner {
         constructor(text) {
             this.text = text;
@@ -283,6 +1035,7 @@
             this.num = 0;
             this.unit = '';
             this.raw = '';
+            this.mathDepth = 0; // Nesting of math functions, for constants
         }
 
         scan() {
@@ -480,6 +1233,24 @@
 
     // --- 4. CSS Typed OM Core Classes ---
 
+    // The window an element belongs to; iframes and other documents have
+    // their own getComputedStyle
+    const windowOf = (element, fallback) => {
+        const doc = element && element.ownerDocument;
+        const view = doc && doc.defaultView;
+        return view && typeof view.getComputedStyle === 'function' ? view : fallback;
+    };
+
+    // Without native registration every custom property inherits, so a
+    // non-inheriting one is treated as unset when its value matches the
+    // parent's and the element does not declare it inline (an approximation:
+    // stylesheets cannot be inspected)
+    const inheritedOnly = (def, element, parent, value, view) => {
+        if (def.inherits || def.native || !parent) return false;
+        if (element.style && element.style.getPropertyValue(def.name)) return false;
+        return view.getComputedStyle(parent).getPropertyValue(def.name) === value;
+    };
+
     class CSSStyleValue {
         constructor() {
             if (this.constructor === CSSStyleValue) {
@@ -489,12 +1260,52 @@
 
         toString() { return ''; }
 
+        // A list-valued property reifies to its first item (spec)
         static parse(prop, val) {
-            return Parser.parse(prop, val);
+            return Parser.parseList(prop, val)[0];
         }
 
         static parseAll(prop, val) {
-            return [Parser.parse(prop, val)];
+            return Parser.parseList(prop, val);
+        }
+
+        // Substitutes var() references with the element's computed custom
+        // properties (registered initial values when unset), then folds.
+        // As a computed value, a non-finite result is clamped.
+        resolve(element) {
+            const view = windowOf(element, global);
+            if (!view || typeof view.getComputedStyle !== 'function') {
+                throw new TypeError("resolve() requires getComputedStyle");
+            }
+
+            const style = view.getComputedStyle(element);
+            const parent = element.parentElement;
+            return clampNonFinite(substituteVariables(this, name => {
+                const def = PROPERTY_REGISTRY.get(name);
+                const value = style.getPropertyValue(name);
+                if (value && value.trim() && !(def && inheritedOnly(def, element, parent, value, view))) {
+                    return value;
+                }
+
+                if (!def || !def.initialValue) return null;
+                return def.initialValue.length === 1
+                    ? def.initialValue[0]
+                    : def.initialValue.join(listSeparator(name));
+            }));
+        }
+
+        // Substitutes var() references from bindings (a plain object or Map of
+        // name -> CSSStyleValue, number or text), then folds
+        substitute(bindings) {
+            if (!bindings || typeof bindings !== 'object') {
+                throw new TypeError("substitute() requires a bindings object");
+            }
+
+            return substituteVariables(this, bindings instanceof Map
+                ? name => bindings.get(name)
+                : name => Object.prototype.hasOwnProperty.call(bindings, name)
+                    ? bindings[name]
+                    : null);
         }
     }
 
@@ -533,33 +1344,139 @@
             return new CSSMathNegate(this);
         }
 
+        // The JS API rejects a zero divisor; inside calc() it is ±infinity
         invert() {
+            if (this instanceof CSSUnitValue && this.unit === 'number' && this.value === 0) {
+                throw new RangeError("Cannot invert zero");
+            }
             return new CSSMathInvert(this);
         }
 
         to(unit) {
+            if (typeof unit !== 'string' || !UNIT_MAP.hasOwnProperty(unit)) {
+                throw new SyntaxError(`Invalid unit: ${unit}`);
+            }
             if (this instanceof CSSUnitValue && this.unit === unit) {
                 return this;
             }
-            // Simplified conversion - full implementation would handle unit conversion
-            return new CSSUnitValue(this.value, unit);
-        }
 
-        type() {
-            throw new Error("type() method not implemented in subclass");
-        }
+            const sum = createSumValue(this);
+            if (!sum || sum.length !== 1) {
+                throw new TypeError(`Cannot convert ${this} to ${unit}`);
+            }
 
-        static from(v) {
-            if (v instanceof CSSNumericValue) return v;
-            if (typeof v === 'number') return new CSSUnitValue(v, 'number');
-            if (v instanceof CSSVariableReferenceValue) {
-                // Allow variables in numeric contexts
-                return v;
+            const item = sumItemToUnitValue(sum[0]);
+            const value = item && convertUnit(item.value, item.unit, unit);
+            if (value === null) {
+                throw new TypeError(`Cannot convert ${this} to ${unit}`);
             }
-            throw new TypeError(
+
+            return new CSSUnitValue(value, unit);
+        }
+
+        toSum(...units) {
+            for (let u of units) {
+                if (typeof u !== 'string' || !UNIT_MAP.hasOwnProperty(u)) {
+                    throw new SyntaxError(`Invalid unit: ${u}`);
+                }
+            }
+
+            const sum = createSumValue(this);
+            const values = sum ? sum.map(sumItemToUnitValue) : [null];
+            if (values.some(v => !v)) {
+                throw new TypeError(`Cannot convert ${this} to a sum of units`);
+            }
+
+            if (units.length === 0) {
+                values.sort((a, b) => a.unit < b.unit ? -1 : a.unit > b.unit ? 1 : 0);
+                return createRawSum(values);
+            }
+
+            // Drain every term convertible to each requested unit, in order
+            let rest = values;
+            const result = units.map(unit => {
+                let total = 0;
+                rest = rest.filter(v => {
+                    const converted = convertUnit(v.value, v.unit, unit);
+                    if (converted === null) return true;
+                    total += converted;
+                    return false;
+                });
+                return new CSSUnitValue(total, unit);
+            });
+
+            if (rest.length > 0) {
+                throw new TypeError(
+                    `Cannot express ${this} in units: ${units.join(', ')}`
+                );
+            }
+
+            return createRawSum(result);
+        }
+
+        equals(...values) {
+            return values.every(v => valuesEqual(this, CSSNumericValue.from(v)));
+        }
+
+        // null when a var() leaves the type unknown
+        type() {
+            const t = resolveType(this);
+            return t ? { ...t } : null;
+        }
+
+        static from(v) {
+            if (v instanceof CSSNumericValue) return v;
+            if (typeof v === 'number') return new CSSUnitValue(v, 'number');
+            if (v instanceof CSSVariableReferenceValue) {
+                // Allow variables in numeric contexts
+                return v;
+            }
+            throw new TypeError(
                 `Cannot convert to CSSNumericValue: ${v}`
             );
         }
+
+        static interpolate(a, b, t) {
+            checkProgress(t);
+            return mixNumeric(rectifyNumeric(a), rectifyNumeric(b), t);
+        }
+
+        // Strings are parsed, numbers become <number>s. Returns -1, 0 or 1,
+        // or null when the order depends on context (10% vs 10px).
+        static compare(a, b) {
+            return compareValues(rectifyNumeric(a), rectifyNumeric(b));
+        }
+
+        static parse(text) {
+            text = String(text).trim();
+            let res;
+
+            try {
+                const s = new Scanner(text);
+                s.scan();
+
+                if (s.type !== TT.NUM && s.type !== TT.DIM &&
+                    !(s.type === TT.FUNC && MATH_FUNCS[s.str])) {
+                    throw new Error("Expected a number, dimension or math function");
+                }
+
+                // A single component value: `1px + 2px` leaves tokens behind
+                res = Parser.factor(s);
+
+                if (s.type !== TT.EOF) {
+                    throw new Error("Unexpected tokens after value");
+                }
+                if (hasVariable(res)) {
+                    throw new Error("var() references are not numeric values");
+                }
+            } catch (e) {
+                throw new SyntaxError(
+                    `Invalid numeric value: ${text}. Error: ${e.message}`
+                );
+            }
+
+            return res;
+        }
     }
 
     class CSSUnitValue extends CSSNumericValue {
@@ -568,9 +1485,6 @@
             if (typeof val !== 'number') {
                 throw new TypeError("Value must be a number");
             }
-            if (!isFinite(val)) {
-                throw new TypeError("Value must be finite");
-            }
             if (typeof unit !== 'string') {
                 throw new TypeError("Unit must be a string");
             }
@@ -583,6 +1497,9 @@
         }
 
         toString() {
+            // Non-finite values only exist inside calc(): calc(infinity * 1px)
+            if (!Number.isFinite(this.value)) return `calc(${fmt(this)})`;
+
             // Better precision handling
             let s = this.value;
 
@@ -620,12 +1537,12 @@
         }
 
         toString() {
-            return `var(${this.variable}${this.fallback ? ', ' + this.fallback.toString() : ''
-                })`;
+            return `var(${this.variable}${this.fallback ? ',' + this.fallback.toString() : ''})`;
         }
 
+        // Unknown until substituted
         type() {
-            return {};
+            return null;
         }
 
         // Math Interop
@@ -645,6 +1562,9 @@
         }
         negate() { return new CSSMathNegate(this); }
         invert() { return new CSSMathInvert(this); }
+        equals(...values) {
+            return values.every(v => valuesEqual(this, CSSNumericValue.from(v)));
+        }
     }
 
     class CSSUnparsedValue extends CSSStyleValue {
@@ -688,18 +1608,75 @@
     }
 
     // --- 5. Math Objects ---
-
-    const fmt = (v) => {
-        let s = v.toString();
-        return s.startsWith('calc(') ? s.slice(5, -1) : s;
+    // Serialization (spec: "serialize a CSSMathValue"): the root is wrapped in
+    // calc(), function arguments are written bare, and nested operations only
+    // get parentheses where precedence needs them. Sum terms are sorted as in
+    // CSS Values: number, percentage, dimensions by unit, then everything else.
+
+    const PREC_SUM = 1, PREC_PRODUCT = 2, PREC_UNARY = 3, PREC_ATOM = 4;
+
+    const precedence = (v) => {
+        if (v instanceof CSSMathSum) return PREC_SUM;
+        // Negation is written `-1 * x`
+        if (v instanceof CSSMathProduct || v instanceof CSSMathInvert ||
+            v instanceof CSSMathNegate) return PREC_PRODUCT;
+        // `infinity * 1px`
+        if (v instanceof CSSUnitValue && !Number.isFinite(v.value) && v.unit !== 'number') {
+            return PREC_PRODUCT;
+        }
+        return PREC_ATOM;
     };
 
-    const wrap = (v) => {
-        return (v instanceof CSSMathSum || v instanceof CSSMathNegate)
-            ? `(${fmt(v)})`
-            : fmt(v);
+    // Writes v bare, parenthesized when it binds looser than `min`
+    const operand = (v, min) => precedence(v) < min ? `(${fmt(v)})` : fmt(v);
+
+    const termRank = (t) => {
+        if (!(t instanceof CSSUnitValue)) return 3;
+        return t.unit === 'number' ? 0 : t.unit === 'percent' ? 1 : 2;
     };
 
+    // Stable, so terms of equal rank keep their order
+    const sortTerms = (terms) => [...terms].sort((a, b) => {
+        const r = termRank(a) - termRank(b);
+        if (r || termRank(a) !== 2) return r;
+        const ua = a.unit.toLowerCase(), ub = b.unit.toLowerCase();
+        return ua < ub ? -1 : ua > ub ? 1 : 0;
+    });
+
+    // Serializes a numeric value without the outer calc()
+    function fmt(v) {
+        if (v instanceof CSSUnitValue) {
+            if (Number.isFinite(v.value)) return v.toString();
+            const constant = Number.isNaN(v.value) ? 'NaN'
+                : v.value > 0 ? 'infinity' : '-infinity';
+            return v.unit === 'number'
+                ? constant
+                : `${constant} * 1${v.unit === 'percent' ? '%' : v.unit}`;
+        }
+        if (v instanceof CSSMathSum) {
+            if (!v.values || v.values.length === 0) return '0';
+            return sortTerms(v.values).map((t, i) => {
+                if (i === 0) return operand(t, PREC_SUM);
+                if (t instanceof CSSMathNegate) return ' - ' + operand(t.value, PREC_PRODUCT);
+                if (t instanceof CSSUnitValue && t.value < 0) {
+                    return ' - ' + fmt(new CSSUnitValue(-t.value, t.unit));
+                }
+                return ' + ' + operand(t, PREC_SUM);
+            }).join('');
+        }
+        if (v instanceof CSSMathProduct) {
+            return v.values.map((f, i) => {
+                if (i === 0) return operand(f, PREC_PRODUCT);
+                if (f instanceof CSSMathInvert) return ' / ' + operand(f.value, PREC_UNARY);
+                return ' * ' + operand(f, PREC_PRODUCT);
+            }).join('');
+        }
+        // `-min(` or `-var(` would read as a function named -min or -var
+        if (v instanceof CSSMathNegate) return '-1 * ' + operand(v.value, PREC_PRODUCT);
+        if (v instanceof CSSMathInvert) return '1 / ' + operand(v.value, PREC_UNARY);
+        return v.toString();
+    }
+
     class CSSMathValue extends CSSNumericValue { }
 
     class CSSMathSum extends CSSMathValue {
@@ -713,8 +1690,8 @@
             const input = args.map(CSSNumericValue.from);
             const sim = simplifySum(input, true);
 
-            if (sim instanceof CSSUnitValue) {
-                // Return the simplified unit value directly
+            if (sim instanceof CSSUnitValue || sim instanceof CSSMathValue) {
+                // Return the simplified value directly
                 return sim;
             } else if (Array.isArray(sim)) {
                 // Store the array directly to avoid recursion
@@ -726,55 +1703,7 @@
         }
 
         toString() {
-            if (!this.values || this.values.length === 0) {
-                return 'calc(0)';
-            }
-
-            const parts = this.values.map((v, i) => {
-                if (i === 0) {
-                    return fmt(v);
-                } else if (v instanceof CSSMathNegate) {
-                    return ' - ' + fmt(v.value);
-                } else {
-                    return ' + ' + fmt(v);
-                }
-            });
-
-            return `calc(${parts.join('')})`;
-        }
-
-        type() {
-            if (!this.values || this.values.length === 0) {
-                return { ...BASE_TYPES };
-            }
-
-            // Merge types: if any value has percent OR length, result has both
-            let hasPercent = false;
-            let hasLength = false;
-            const result = { ...BASE_TYPES };
-
-            for (let v of this.values) {
-                if (v && v.type) {
-                    const t = v.type();
-                    if (t.percent > 0) hasPercent = true;
-                    if (t.length > 0) hasLength = true;
-
-                    // Merge other dimensions
-                    for (let key in BASE_TYPES) {
-                        if (key === 'percent' || key === 'length') continue;
-                        if (t[key] > 0) result[key] = Math.max(result[key], t[key]);
-                    }
-                }
-            }
-
-            // If we have both percent and length, set both flags
-            // This represents calc(% ± length) which is valid
-            if (hasPercent || hasLength) {
-                result.percent = hasPercent ? 1 : 0;
-                result.length = hasLength ? 1 : 0;
-            }
-
-            return result;
+            return `calc(${fmt(this)})`;
         }
     }
 
@@ -789,43 +1718,15 @@
             this.values = args.map(CSSNumericValue.from);
             const sim = simplifyProduct(this.values);
 
-            if (sim) {
+            if (Array.isArray(sim)) {
+                this.values = sim;
+            } else if (sim) {
                 return sim;
             }
         }
 
         toString() {
-            let n = [], d = [];
-
-            this.values.forEach(v => {
-                if (v instanceof CSSMathInvert) {
-                    d.push(v.value);
-                } else {
-                    n.push(v);
-                }
-            });
-
-            if (!n.length) {
-                n.push(new CSSUnitValue(1, 'number'));
-            }
-
-            const ns = n.map(wrap).join(' * ');
-            const ds = d.map(wrap).join(' * ');
-
-            if (!ds) {
-                return `calc(${ns})`;
-            } else {
-                return `calc(${ns} / ${d.length > 1 ? `(${ds})` : ds})`;
-            }
-        }
-
-        type() {
-            return this.values.reduce((acc, v) => {
-                if (v && v.type) {
-                    return Object.assign(acc, v.type());
-                }
-                return acc;
-            }, { ...BASE_TYPES });
+            return `calc(${fmt(this)})`;
         }
     }
 
@@ -842,14 +1743,14 @@
             if (this.value instanceof CSSMathNegate) {
                 return this.value.value;
             }
+            // -(a + b) = -a + -b
+            if (this.value instanceof CSSMathSum) {
+                return new CSSMathSum(...this.value.values.map(v => new CSSMathNegate(v)));
+            }
         }
 
         toString() {
-            return `calc(-1 * ${wrap(this.value)})`;
-        }
-
-        type() {
-            return this.value.type ? this.value.type() : {};
+            return `calc(${fmt(this)})`;
         }
     }
 
@@ -860,21 +1761,22 @@
             this.value = CSSNumericValue.from(v);
 
             // Simplification
+            // 1 / 0 is infinity and 1 / -0 is -infinity, as in calc()
             if (this.value instanceof CSSUnitValue &&
                 this.value.unit === 'number') {
-                if (this.value.value === 0) {
-                    throw new RangeError("Cannot invert zero");
-                }
                 return new CSSUnitValue(1 / this.value.value, 'number');
             }
+            if (this.value instanceof CSSMathInvert) {
+                return this.value.value;
+            }
+            // 1 / (a * b) = (1 / a) * (1 / b)
+            if (this.value instanceof CSSMathProduct) {
+                return new CSSMathProduct(...this.value.values.map(v => new CSSMathInvert(v)));
+            }
         }
 
         toString() {
-            return `calc(1 / ${wrap(this.value)})`;
-        }
-
-        type() {
-            return {};
+            return `calc(${fmt(this)})`;
         }
     }
 
@@ -887,16 +1789,15 @@
             }
 
             this.values = args.map(CSSNumericValue.from);
-        }
+            resolveType(this); // Validates that all arguments share a type
 
-        toString() {
-            return `min(${this.values.map(v => v.toString()).join(', ')})`;
+            const simplified = simplifyMinMax(CSSMathMin, this.values);
+            if (!Array.isArray(simplified)) return simplified;
+            this.values = simplified;
         }
 
-        type() {
-            return this.values[0] && this.values[0].type
-                ? this.values[0].type()
-                : {};
+        toString() {
+            return `min(${this.values.map(fmt).join(', ')})`;
         }
     }
 
@@ -909,16 +1810,15 @@
             }
 
             this.values = args.map(CSSNumericValue.from);
-        }
+            resolveType(this); // Validates that all arguments share a type
 
-        toString() {
-            return `max(${this.values.map(v => v.toString()).join(', ')})`;
+            const simplified = simplifyMinMax(CSSMathMax, this.values);
+            if (!Array.isArray(simplified)) return simplified;
+            this.values = simplified;
         }
 
-        type() {
-            return this.values[0] && this.values[0].type
-                ? this.values[0].type()
-                : {};
+        toString() {
+            return `max(${this.values.map(fmt).join(', ')})`;
         }
     }
 
@@ -929,153 +1829,759 @@
             this.lower = CSSNumericValue.from(min);
             this.value = CSSNumericValue.from(val);
             this.upper = CSSNumericValue.from(max);
-        }
+            resolveType(this); // Validates that all arguments share a type
 
-        toString() {
-            return `clamp(${this.lower}, ${this.value}, ${this.upper})`;
+            const simplified = simplifyClamp(this.lower, this.value, this.upper);
+            if (simplified) return simplified;
         }
 
-        type() {
-            return this.value.type ? this.value.type() : {};
+        toString() {
+            return `clamp(${fmt(this.lower)}, ${fmt(this.value)}, ${fmt(this.upper)})`;
         }
     }
 
-    // --- 6. Transforms ---
+    // --- 5.1 Values 4 Functions ---
+    // Stepped-value, trigonometric, exponential and sign-related functions.
+    // Typed OM has no interfaces for these yet; each node keeps its
+    // arguments in `values` and folds to a CSSUnitValue once they are known.
 
-    class CSSTransformComponent extends CSSStyleValue {
-        constructor() {
-            super();
-            this.is2D = true;
-        }
+    const ANGLE_TYPE = { angle: 1 };
+    const isNumberType = (t) => typeEntriesMatch(t, {});
+    const isAngleType = (t) => typeEntriesMatch(t, ANGLE_TYPE);
 
-        toMatrix() {
-            if (typeof DOMMatrix !== 'undefined') {
-                return new DOMMatrix(this.toString());
+    // Argument type checks; unknown (var()) types are skipped
+    const expectTypes = (types, name, accepts, label) => {
+        for (let t of types) {
+            if (t && !accepts(t)) {
+                throw new TypeError(`${name}() expects ${label}, got ${describeType(t)}`);
             }
-            throw new Error("DOMMatrix not available");
         }
-    }
+    };
 
-    class CSSTranslate extends CSSTransformComponent {
-        constructor(x, y, z) {
-            super();
-            this.x = CSSNumericValue.from(x);
-            this.y = CSSNumericValue.from(y);
-            this.z = z ? CSSNumericValue.from(z) : new CSSUnitValue(0, 'px');
-            this.is2D = !z || (z instanceof CSSUnitValue && z.value === 0);
+    const commonType = (types, name) => {
+        let acc = null;
+        for (let t of types) {
+            if (!t) continue;
+            const next = acc ? addTypes(acc, t) : t;
+            if (!next) {
+                throw new TypeError(
+                    `Incompatible types in ${name}(): Cannot combine ${describeType(acc)} and ${describeType(t)}`
+                );
+            }
+            acc = next;
         }
-        toString() {
-            return this.is2D
-                ? `translate(${this.x}, ${this.y})`
-                : `translate3d(${this.x}, ${this.y}, ${this.z})`;
+        return acc;
+    };
+
+    const numberArgs = (types, name) => {
+        expectTypes(types, name, isNumberType, '<number> arguments');
+        return {};
+    };
+
+    const trigArg = (types, name) => {
+        expectTypes(types, name, t => isNumberType(t) || isAngleType(t), 'a <number> or <angle>');
+        return {};
+    };
+
+    const inverseTrigArg = (types, name) => {
+        numberArgs(types, name);
+        return { ...ANGLE_TYPE };
+    };
+
+    const toDeg = (rad) => rad * 180 / Math.PI;
+
+    // Multiples of the step to pick, per rounding strategy
+    const ROUNDING = {
+        'nearest': x => Math.floor(x + 0.5), // Ties round toward +infinity
+        'up': Math.ceil,
+        'down': Math.floor,
+        'to-zero': Math.trunc
+    };
+
+    // `type` maps argument types to the result type (throwing when invalid);
+    // `fold` maps argument values in one unit to the result value, which is
+    // in that unit when `result` is 'same', otherwise in `result`.
+    // Trigonometric inputs (`radians`) are converted to radians first.
+    const MATH_FUNCTION_RULES = {
+        round: {
+            arity: [1, 2], result: 'same',
+            type: (types, name) => {
+                if (types.length === 1) {
+                    expectTypes(types, name, isNumberType, 'a step for non-<number> values');
+                }
+                return commonType(types, name);
+            },
+            fold: ([a, b = 1], node) => {
+                if (Number.isFinite(b) || !Number.isFinite(a)) {
+                    return ROUNDING[node.strategy](a / Math.abs(b)) * Math.abs(b);
+                }
+                // An infinite step: only up/down can leave zero
+                if (node.strategy === 'up' && a > 0) return Infinity;
+                if (node.strategy === 'down' && a < 0) return -Infinity;
+                return a < 0 || Object.is(a, -0) ? -0 : 0;
+            }
+        },
+        mod: {
+            arity: [2, 2], result: 'same', type: commonType,
+            fold: ([a, b]) => {
+                // An infinite divisor keeps a when the signs agree
+                if (!Number.isFinite(b) && Number.isFinite(a)) {
+                    return a === 0 || Math.sign(a) === Math.sign(b) ? a : NaN;
+                }
+                return a - b * Math.floor(a / b); // Takes the sign of b
+            }
+        },
+        rem: {
+            arity: [2, 2], result: 'same', type: commonType,
+            fold: ([a, b]) => !Number.isFinite(b) && Number.isFinite(a)
+                ? a
+                : a - b * Math.trunc(a / b) // Takes the sign of a
+        },
+        abs: { arity: [1, 1], result: 'same', type: commonType, fold: ([a]) => Math.abs(a) },
+        sign: {
+            arity: [1, 1], result: 'number',
+            type: (types, name) => (commonType(types, name), {}),
+            fold: ([a]) => Math.sign(a)
+        },
+        sin: { arity: [1, 1], result: 'number', radians: true, type: trigArg, fold: ([a]) => Math.sin(a) },
+        cos: { arity: [1, 1], result: 'number', radians: true, type: trigArg, fold: ([a]) => Math.cos(a) },
+        tan: {
+            arity: [1, 1], result: 'number', radians: true, type: trigArg,
+            fold: ([a]) => {
+                // +∞ at 90deg + n * 360deg, -∞ at -90deg + n * 360deg
+                const deg = toDeg(a);
+                const turn = ((deg % 360) + 360) % 360;
+                const tolerance = EPSILON * Math.max(1, Math.abs(deg));
+                if (Math.abs(turn - 90) < tolerance) return Infinity;
+                if (Math.abs(turn - 270) < tolerance) return -Infinity;
+                return Math.tan(a);
+            }
+        },
+        asin: { arity: [1, 1], result: 'deg', type: inverseTrigArg, fold: ([a]) => toDeg(Math.asin(a)) },
+        acos: { arity: [1, 1], result: 'deg', type: inverseTrigArg, fold: ([a]) => toDeg(Math.acos(a)) },
+        atan: { arity: [1, 1], result: 'deg', type: inverseTrigArg, fold: ([a]) => toDeg(Math.atan(a)) },
+        atan2: {
+            arity: [2, 2], result: 'deg',
+            type: (types, name) => (commonType(types, name), { ...ANGLE_TYPE }),
+            fold: ([y, x]) => toDeg(Math.atan2(y, x))
+        },
+        pow: { arity: [2, 2], result: 'number', type: numberArgs, fold: ([a, b]) => Math.pow(a, b) },
+        sqrt: { arity: [1, 1], result: 'number', type: numberArgs, fold: ([a]) => Math.sqrt(a) },
+        hypot: { arity: [1, Infinity], result: 'same', type: commonType, fold: (args) => Math.hypot(...args) },
+        log: {
+            arity: [1, 2], result: 'number', type: numberArgs,
+            fold: ([a, b]) => b === undefined ? Math.log(a) : Math.log(a) / Math.log(b)
+        },
+        exp: { arity: [1, 1], result: 'number', type: numberArgs, fold: ([a]) => Math.exp(a) }
+    };
+
+    // Folds a function whose arguments reduce to convertible absolute
+    // values; null otherwise. Percentages stay unresolved.
+    function foldMathFunction(node) {
+        const rule = MATH_FUNCTION_RULES[node.operator];
+        const items = [];
+        for (let v of node.values) {
+            const sum = createSumValue(v);
+            const item = sum && sum.length === 1 ? sumItemToUnitValue(sum[0]) : null;
+            if (!item || item.unit === 'percent') return null;
+            items.push(item);
         }
+
+        // Keep the first argument's own unit (1in stays in inches)
+        const first = node.values[0];
+        let unit = first instanceof CSSUnitValue ? first.unit : items[0].unit;
+        if (rule.radians && UNIT_MAP[unit] === 'angle') unit = 'rad';
+
+        const args = items.map(i => convertUnit(i.value, i.unit, unit));
+        if (args.some(a => a === null)) return null;
+
+        const value = rule.fold(args, node);
+        return new CSSUnitValue(value, rule.result === 'same' ? unit : rule.result);
     }
 
-    class CSSRotate extends CSSTransformComponent {
-        constructor(...args) {
+    class CSSMathFunction extends CSSMathValue {
+        constructor(operator, args, props) {
             super();
 
-            if (args.length === 1) {
-                this.x = new CSSUnitValue(0, 'number');
-                this.y = new CSSUnitValue(0, 'number');
-                this.z = new CSSUnitValue(1, 'number');
-                this.angle = CSSNumericValue.from(args[0]);
-                this.is2D = true;
-            } else if (args.length === 4) {
-                this.x = CSSNumericValue.from(args[0]);
-                this.y = CSSNumericValue.from(args[1]);
-                this.z = CSSNumericValue.from(args[2]);
-                this.angle = CSSNumericValue.from(args[3]);
-                this.is2D = false;
-            } else {
-                throw new TypeError(
-                    "CSSRotate requires 1 or 4 arguments"
-                );
+            const [min, max] = MATH_FUNCTION_RULES[operator].arity;
+            if (args.length < min || args.length > max) {
+                throw new TypeError(min === max
+                    ? `${operator}() requires exactly ${min} argument${min > 1 ? 's' : ''}`
+                    : `${operator}() requires ${min} to ${max === Infinity ? 'any number of' : max} arguments`);
             }
+
+            this.operator = operator;
+            Object.assign(this, props);
+            this.values = args.map(CSSNumericValue.from);
+            resolveType(this); // Validates the argument types
+
+            const folded = foldMathFunction(this);
+            if (folded) return folded;
         }
 
         toString() {
-            return this.is2D
-                ? `rotate(${this.angle})`
-                : `rotate3d(${this.x}, ${this.y}, ${this.z}, ${this.angle})`;
+            return `${this.operator}(${this.values.map(fmt).join(', ')})`;
+        }
+
+        // Rebuilds the node over mapped arguments (refolding if possible)
+        _map(fn) {
+            return new this.constructor(...this.values.map(fn));
         }
     }
 
-    class CSSScale extends CSSTransformComponent {
-        constructor(x, y, z) {
-            super();
-            this.x = CSSNumericValue.from(x);
-            this.y = CSSNumericValue.from(y !== undefined ? y : x);
-            this.z = z ? CSSNumericValue.from(z) : new CSSUnitValue(1, 'number');
-            this.is2D = !z || (z instanceof CSSUnitValue && z.value === 1);
+    class CSSMathRound extends CSSMathFunction {
+        // The strategy is optional: round(10px, 3px) rounds to nearest
+        constructor(...args) {
+            let strategy = 'nearest';
+            if (typeof args[0] === 'string' || args[0] instanceof CSSKeywordValue) {
+                strategy = String(args.shift()).toLowerCase();
+                if (!ROUNDING.hasOwnProperty(strategy)) {
+                    throw new TypeError(`Invalid rounding strategy: ${strategy}`);
+                }
+            }
+            super('round', args, { strategy });
         }
 
         toString() {
-            return this.is2D
-                ? `scale(${this.x}, ${this.y})`
-                : `scale3d(${this.x}, ${this.y}, ${this.z})`;
+            const strategy = this.strategy === 'nearest' ? '' : `${this.strategy}, `;
+            return `round(${strategy}${this.values.map(fmt).join(', ')})`;
+        }
+
+        _map(fn) {
+            return new CSSMathRound(this.strategy, ...this.values.map(fn));
         }
     }
 
-    class CSSSkew extends CSSTransformComponent {
-        constructor(x, y) {
-            super();
-            this.ax = CSSNumericValue.from(x);
-            this.ay = CSSNumericValue.from(y);
+    class CSSMathMod extends CSSMathFunction { constructor(...args) { super('mod', args); } }
+    class CSSMathRem extends CSSMathFunction { constructor(...args) { super('rem', args); } }
+    class CSSMathAbs extends CSSMathFunction { constructor(...args) { super('abs', args); } }
+    class CSSMathSign extends CSSMathFunction { constructor(...args) { super('sign', args); } }
+    class CSSMathSin extends CSSMathFunction { constructor(...args) { super('sin', args); } }
+    class CSSMathCos extends CSSMathFunction { constructor(...args) { super('cos', args); } }
+    class CSSMathTan extends CSSMathFunction { constructor(...args) { super('tan', args); } }
+    class CSSMathAsin extends CSSMathFunction { constructor(...args) { super('asin', args); } }
+    class CSSMathAcos extends CSSMathFunction { constructor(...args) { super('acos', args); } }
+    class CSSMathAtan extends CSSMathFunction { constructor(...args) { super('atan', args); } }
+    class CSSMathAtan2 extends CSSMathFunction { constructor(...args) { super('atan2', args); } }
+    class CSSMathPow extends CSSMathFunction { constructor(...args) { super('pow', args); } }
+    class CSSMathSqrt extends CSSMathFunction { constructor(...args) { super('sqrt', args); } }
+    class CSSMathHypot extends CSSMathFunction { constructor(...args) { super('hypot', args); } }
+    class CSSMathLog extends CSSMathFunction { constructor(...args) { super('log', args); } }
+    class CSSMathExp extends CSSMathFunction { constructor(...args) { super('exp', args); } }
+
+    const MATH_FUNCTION_CLASSES = {
+        round: CSSMathRound, mod: CSSMathMod, rem: CSSMathRem,
+        abs: CSSMathAbs, sign: CSSMathSign,
+        sin: CSSMathSin, cos: CSSMathCos, tan: CSSMathTan,
+        asin: CSSMathAsin, acos: CSSMathAcos, atan: CSSMathAtan, atan2: CSSMathAtan2,
+        pow: CSSMathPow, sqrt: CSSMathSqrt, hypot: CSSMathHypot,
+        log: CSSMathLog, exp: CSSMathExp
+    };
+
+    // --- 5.2 Interpolation (spec: CSS Values "Combining Values") ---
+
+    const checkProgress = (t) => {
+        if (typeof t !== 'number' || !Number.isFinite(t)) {
+            throw new TypeError(`Interpolation progress must be a finite number: ${t}`);
         }
+    };
 
-        toString() {
-            return `skew(${this.ax}, ${this.ay})`;
+    const lerp = (a, b, t) => a + (b - a) * t;
+
+    // a * (1 - t) + b * t; units that do not convert yield a calc() mix
+    function mixNumeric(a, b, t) {
+        const ta = resolveType(a), tb = resolveType(b);
+        if (ta && tb && !addTypes(ta, tb)) {
+            throw new TypeError(
+                `Cannot interpolate ${a} and ${b}: ${describeType(ta)} and ${describeType(tb)} are incompatible`
+            );
         }
-    }
 
-    class CSSSkewX extends CSSTransformComponent {
-        constructor(x) {
-            super();
-            this.ax = CSSNumericValue.from(x);
+        // Keep the start value's unit whenever the end value converts to it
+        if (a instanceof CSSUnitValue && b instanceof CSSUnitValue) {
+            const end = convertUnit(b.value, b.unit, a.unit);
+            if (end !== null) return new CSSUnitValue(lerp(a.value, end, t), a.unit);
         }
 
-        toString() {
-            return `skewX(${this.ax})`;
+        const sa = createSumValue(a), sb = createSumValue(b);
+        if (sa && sb) {
+            const items = [];
+            sa.forEach(i => addSumItem(items, { value: i.value * (1 - t), unit: i.unit }));
+            sb.forEach(i => addSumItem(items, { value: i.value * t, unit: i.unit }));
+            const values = items.map(sumItemToUnitValue);
+            if (values.every(Boolean)) {
+                return values.length === 1 ? values[0] : createRawSum(values);
+            }
         }
+
+        // var() or compound units: leave the blend to calc()
+        return new CSSMathSum(new CSSMathProduct(a, 1 - t), new CSSMathProduct(b, t));
     }
 
-    class CSSSkewY extends CSSTransformComponent {
-        constructor(y) {
-            super();
-            this.ay = CSSNumericValue.from(y);
+    // --- 6. Transforms ---
+
+    // 4x4 matrix in DOMMatrix layout: m11..m44 stored column by column
+    // (the matrix3d() argument order). Stands in for DOMMatrix when the
+    // environment has none: it implements the read-only DOMMatrix methods
+    // plus multiplySelf()/invertSelf(), not the rest of the mutable API.
+    class Matrix4 {
+        constructor(values, is2D = false) {
+            this._m = values ? Float64Array.from(values) : Matrix4.identityArray();
+            this.is2D = is2D;
         }
 
-        toString() {
-            return `skewY(${this.ay})`;
+        static identityArray() {
+            return new Float64Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
         }
-    }
 
-    class CSSPerspective extends CSSTransformComponent {
-        constructor(length) {
-            super();
-            this.length = CSSNumericValue.from(length);
+        static from2D(a, b, c, d, e, f) {
+            return new Matrix4([a, b, 0, 0, c, d, 0, 0, 0, 0, 1, 0, e, f, 0, 1], true);
         }
 
-        toString() {
-            return `perspective(${this.length})`;
+        // Accepts a Matrix4 or any DOMMatrix-like object
+        static fromMatrix(other) {
+            if (other instanceof Matrix4) return other;
+            return new Matrix4(MATRIX_FIELDS.map(k => other[k]), !!other.is2D);
         }
-    }
 
-    class CSSMatrixComponent extends CSSTransformComponent {
-        constructor(a, b, c, d, e, f) {
-            super();
-            this.a = CSSNumericValue.from(a);
-            this.b = CSSNumericValue.from(b);
-            this.c = CSSNumericValue.from(c);
-            this.d = CSSNumericValue.from(d);
-            this.e = CSSNumericValue.from(e);
-            this.f = CSSNumericValue.from(f);
+        get isIdentity() {
+            const id = Matrix4.identityArray();
+            return this._m.every((v, i) => v === id[i]);
+        }
+
+        // this * other, as DOMMatrix.multiply()
+        multiply(other) {
+            const a = this._m;
+            const b = Matrix4.fromMatrix(other)._m;
+            const out = new Float64Array(16);
+
+            for (let c = 0; c < 4; c++) {
+                for (let r = 0; r < 4; r++) {
+                    let sum = 0;
+                    for (let k = 0; k < 4; k++) sum += a[k * 4 + r] * b[c * 4 + k];
+                    out[c * 4 + r] = sum;
+                }
+            }
+            return new Matrix4(out, this.is2D && Matrix4.fromMatrix(other).is2D);
+        }
+
+        // As DOMMatrix.inverse(): all NaN when the matrix is singular
+        inverse() {
+            const m = this._m;
+            const det = determinant4(m);
+            if (det === 0) return new Matrix4(new Array(16).fill(NaN));
+
+            const out = new Float64Array(16);
+            for (let c = 0; c < 4; c++) {
+                for (let r = 0; r < 4; r++) {
+                    // Adjugate: transposed cofactor of (r, c)
+                    const minor = [];
+                    for (let cc = 0; cc < 4; cc++) {
+                        if (cc === r) continue;
+                        for (let rr = 0; rr < 4; rr++) {
+                            if (rr !== c) minor.push(m[cc * 4 + rr]);
+                        }
+                    }
+                    out[c * 4 + r] = ((r + c) % 2 ? -1 : 1) * determinant3(minor) / det;
+                }
+            }
+            return new Matrix4(out, this.is2D);
+        }
+
+        // As DOMMatrix.translate(); lengths in px
+        translate(tx = 0, ty = 0, tz = 0) {
+            return this.multiply(
+                new Matrix4([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, tx, ty, tz, 1], tz === 0)
+            );
+        }
+
+        // As DOMMatrix.scale(): scaleY defaults to scaleX, about an origin
+        scale(sx = 1, sy = sx, sz = 1, ox = 0, oy = 0, oz = 0) {
+            const s = new Matrix4(
+                [sx, 0, 0, 0, 0, sy, 0, 0, 0, 0, sz, 0, 0, 0, 0, 1], sz === 1 && oz === 0
+            );
+            return this.translate(ox, oy, oz).multiply(s).translate(-ox, -oy, -oz);
+        }
+
+        // As DOMMatrix.rotate(): degrees, z then y then x; a single
+        // argument rotates about z
+        rotate(rx = 0, ry, rz) {
+            if (ry === undefined && rz === undefined) {
+                rz = rx;
+                rx = 0;
+            }
+            return this.multiply(axisRotation(2, rz || 0))
+                .multiply(axisRotation(1, ry || 0))
+                .multiply(axisRotation(0, rx));
+        }
+
+        multiplySelf(other) {
+            const m = this.multiply(other);
+            this._m = m._m;
+            this.is2D = m.is2D;
+            return this;
+        }
+
+        invertSelf() {
+            const m = this.inverse();
+            this._m = m._m;
+            this.is2D = m.is2D;
+            return this;
+        }
+
+        transformPoint(point = {}) {
+            const { x = 0, y = 0, z = 0, w = 1 } = point;
+            const m = this._m;
+            return {
+                x: m[0] * x + m[4] * y + m[8] * z + m[12] * w,
+                y: m[1] * x + m[5] * y + m[9] * z + m[13] * w,
+                z: m[2] * x + m[6] * y + m[10] * z + m[14] * w,
+                w: m[3] * x + m[7] * y + m[11] * z + m[15] * w
+            };
+        }
+
+        toFloat64Array() {
+            return Float64Array.from(this._m);
+        }
+
+        toFloat32Array() {
+            return Float32Array.from(this._m);
+        }
+
+        toJSON() {
+            const json = {};
+            ['a', 'b', 'c', 'd', 'e', 'f', ...MATRIX_FIELDS].forEach(k => json[k] = this[k]);
+            json.is2D = this.is2D;
+            json.isIdentity = this.isIdentity;
+            return json;
+        }
+
+        toString() {
+            return this.is2D
+                ? `matrix(${[this.a, this.b, this.c, this.d, this.e, this.f].join(', ')})`
+                : `matrix3d(${Array.from(this._m).join(', ')})`;
+        }
+    }
+
+    // Rotation by `deg` about the x (0), y (1) or z (2) axis
+    function axisRotation(axis, deg) {
+        const m = Matrix4.identityArray();
+        if (!deg) return new Matrix4(m, true);
+
+        const rad = deg * Math.PI / 180;
+        const cos = Math.cos(rad), sin = Math.sin(rad);
+        // The two axes the rotation acts on, in right-handed order
+        const [i, j] = [[1, 2], [2, 0], [0, 1]][axis];
+        m[i * 4 + i] = cos;
+        m[i * 4 + j] = sin;
+        m[j * 4 + i] = -sin;
+        m[j * 4 + j] = cos;
+        return new Matrix4(m, axis === 2);
+    }
+
+    // 3x3 determinant of 9 values, column by column
+    const determinant3 = (m) =>
+        m[0] * (m[4] * m[8] - m[5] * m[7]) -
+        m[3] * (m[1] * m[8] - m[2] * m[7]) +
+        m[6] * (m[1] * m[5] - m[2] * m[4]);
+
+    function determinant4(m) {
+        let det = 0;
+        for (let c = 0; c < 4; c++) {
+            const minor = [];
+            for (let cc = 0; cc < 4; cc++) {
+                if (cc !== c) minor.push(m[cc * 4 + 1], m[cc * 4 + 2], m[cc * 4 + 3]);
+            }
+            det += (c % 2 ? -1 : 1) * m[c * 4] * determinant3(minor);
+        }
+        return det;
+    }
+
+    const MATRIX_FIELDS = [
+        'm11', 'm12', 'm13', 'm14', 'm21', 'm22', 'm23', 'm24',
+        'm31', 'm32', 'm33', 'm34', 'm41', 'm42', 'm43', 'm44'
+    ];
+
+    MATRIX_FIELDS.forEach((name, i) => {
+        Object.defineProperty(Matrix4.prototype, name, {
+            get() { return this._m[i]; }
+        });
+    });
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach((name, i) => {
+        const index = [0, 1, 4, 5, 12, 13][i];
+        Object.defineProperty(Matrix4.prototype, name, {
+            get() { return this._m[index]; }
+        });
+    });
+
+    // Native DOMMatrix when available, otherwise the Matrix4 itself
+    const toDOMMatrix = (m) => {
+        if (typeof DOMMatrix === 'undefined') return m;
+        return m.is2D
+            ? new DOMMatrix([m.a, m.b, m.c, m.d, m.e, m.f])
+            : new DOMMatrix(Array.from(m._m));
+    };
+
+    // Resolves a transform argument to a plain number in `unit` (px, deg or
+    // number); relative lengths and percentages cannot be resolved. A
+    // unitless zero stands for any unit.
+    const resolveArg = (v, unit) => {
+        const sum = createSumValue(v);
+        const item = sum && sum.length === 1 ? sumItemToUnitValue(sum[0]) : null;
+        const value = !item ? null
+            : item.unit === 'number' && item.value === 0 ? 0
+                : convertUnit(item.value, item.unit, unit);
+
+        if (value === null) {
+            throw new TypeError(`Cannot resolve ${v} to ${unit} in toMatrix()`);
+        }
+        return value;
+    };
+
+    const resolveAngle = (v) => resolveArg(v, 'deg') * Math.PI / 180;
+
+    // A <percentage> scale factor is the equivalent <number>: 50% is 0.5
+    const scaleFactor = (v) => v instanceof CSSUnitValue && v.unit === 'percent'
+        ? new CSSUnitValue(v.value / 100, 'number')
+        : v;
+
+    class CSSTransformComponent extends CSSStyleValue {
+        constructor() {
+            super();
             this.is2D = true;
         }
 
+        toMatrix() {
+            return toDOMMatrix(this._toMatrix4());
+        }
+    }
+
+    class CSSTranslate extends CSSTransformComponent {
+        constructor(x, y, z) {
+            super();
+            this.x = CSSNumericValue.from(x);
+            this.y = CSSNumericValue.from(y);
+            this.z = z ? CSSNumericValue.from(z) : new CSSUnitValue(0, 'px');
+            this.is2D = !z || (z instanceof CSSUnitValue && z.value === 0);
+        }
+        toString() {
+            return this.is2D
+                ? `translate(${this.x}, ${this.y})`
+                : `translate3d(${this.x}, ${this.y}, ${this.z})`;
+        }
+
+        _toMatrix4() {
+            const m = new Matrix4(null, this.is2D);
+            m._m[12] = resolveArg(this.x, 'px');
+            m._m[13] = resolveArg(this.y, 'px');
+            m._m[14] = resolveArg(this.z, 'px');
+            return m;
+        }
+    }
+
+    class CSSRotate extends CSSTransformComponent {
+        constructor(...args) {
+            super();
+
+            if (args.length === 1) {
+                this.x = new CSSUnitValue(0, 'number');
+                this.y = new CSSUnitValue(0, 'number');
+                this.z = new CSSUnitValue(1, 'number');
+                this.angle = CSSNumericValue.from(args[0]);
+                this.is2D = true;
+            } else if (args.length === 4) {
+                this.x = CSSNumericValue.from(args[0]);
+                this.y = CSSNumericValue.from(args[1]);
+                this.z = CSSNumericValue.from(args[2]);
+                this.angle = CSSNumericValue.from(args[3]);
+                this.is2D = false;
+            } else {
+                throw new TypeError(
+                    "CSSRotate requires 1 or 4 arguments"
+                );
+            }
+        }
+
+        toString() {
+            return this.is2D
+                ? `rotate(${this.angle})`
+                : `rotate3d(${this.x}, ${this.y}, ${this.z}, ${this.angle})`;
+        }
+
+        _toMatrix4() {
+            const angle = resolveAngle(this.angle);
+
+            if (this.is2D) {
+                const cos = Math.cos(angle), sin = Math.sin(angle);
+                return Matrix4.from2D(cos, sin, -sin, cos, 0, 0);
+            }
+
+            let x = resolveArg(this.x, 'number');
+            let y = resolveArg(this.y, 'number');
+            let z = resolveArg(this.z, 'number');
+            const len = Math.hypot(x, y, z);
+            if (len === 0) return new Matrix4();
+            x /= len; y /= len; z /= len;
+
+            // CSS Transforms 2, "Mathematical Description of Transform Functions"
+            const sc = Math.sin(angle / 2) * Math.cos(angle / 2);
+            const sq = Math.sin(angle / 2) ** 2;
+
+            return new Matrix4([
+                1 - 2 * (y * y + z * z) * sq,
+                2 * (x * y * sq + z * sc),
+                2 * (x * z * sq - y * sc),
+                0,
+                2 * (x * y * sq - z * sc),
+                1 - 2 * (x * x + z * z) * sq,
+                2 * (y * z * sq + x * sc),
+                0,
+                2 * (x * z * sq + y * sc),
+                2 * (y * z * sq - x * sc),
+                1 - 2 * (x * x + y * y) * sq,
+                0,
+                0, 0, 0, 1
+            ]);
+        }
+    }
+
+    class CSSScale extends CSSTransformComponent {
+        constructor(x, y, z) {
+            super();
+            this.x = CSSNumericValue.from(x);
+            this.y = CSSNumericValue.from(y !== undefined ? y : x);
+            this.z = z ? CSSNumericValue.from(z) : new CSSUnitValue(1, 'number');
+            this.is2D = !z || (z instanceof CSSUnitValue && z.value === 1);
+        }
+
+        toString() {
+            return this.is2D
+                ? `scale(${this.x}, ${this.y})`
+                : `scale3d(${this.x}, ${this.y}, ${this.z})`;
+        }
+
+        _toMatrix4() {
+            const m = new Matrix4(null, this.is2D);
+            m._m[0] = resolveArg(scaleFactor(this.x), 'number');
+            m._m[5] = resolveArg(scaleFactor(this.y), 'number');
+            m._m[10] = resolveArg(scaleFactor(this.z), 'number');
+            return m;
+        }
+    }
+
+    class CSSSkew extends CSSTransformComponent {
+        constructor(x, y) {
+            super();
+            this.ax = CSSNumericValue.from(x);
+            this.ay = CSSNumericValue.from(y);
+        }
+
+        toString() {
+            return `skew(${this.ax}, ${this.ay})`;
+        }
+
+        _toMatrix4() {
+            return Matrix4.from2D(
+                1, Math.tan(resolveAngle(this.ay)), Math.tan(resolveAngle(this.ax)), 1, 0, 0
+            );
+        }
+    }
+
+    class CSSSkewX extends CSSTransformComponent {
+        constructor(x) {
+            super();
+            this.ax = CSSNumericValue.from(x);
+        }
+
+        toString() {
+            return `skewX(${this.ax})`;
+        }
+
+        _toMatrix4() {
+            return Matrix4.from2D(1, 0, Math.tan(resolveAngle(this.ax)), 1, 0, 0);
+        }
+    }
+
+    class CSSSkewY extends CSSTransformComponent {
+        constructor(y) {
+            super();
+            this.ay = CSSNumericValue.from(y);
+        }
+
+        toString() {
+            return `skewY(${this.ay})`;
+        }
+
+        _toMatrix4() {
+            return Matrix4.from2D(1, Math.tan(resolveAngle(this.ay)), 0, 1, 0, 0);
+        }
+    }
+
+    class CSSPerspective extends CSSTransformComponent {
+        constructor(length) {
+            super();
+            this.length = CSSNumericValue.from(length);
+        }
+
+        toString() {
+            return `perspective(${this.length})`;
+        }
+
+        // Depths below 1px are treated as 1px
+        _toMatrix4() {
+            const m = new Matrix4();
+            m._m[11] = -1 / Math.max(resolveArg(this.length, 'px'), 1);
+            return m;
+        }
+    }
+
+    class CSSMatrixComponent extends CSSTransformComponent {
+        constructor(...args) {
+            super();
+
+            if (args.length === 6) {
+                this.a = CSSNumericValue.from(args[0]);
+                this.b = CSSNumericValue.from(args[1]);
+                this.c = CSSNumericValue.from(args[2]);
+                this.d = CSSNumericValue.from(args[3]);
+                this.e = CSSNumericValue.from(args[4]);
+                this.f = CSSNumericValue.from(args[5]);
+                this.is2D = true;
+            } else if (args.length === 16) {
+                // matrix3d() arguments in column-major order; a-f alias the 2D slots
+                this.values = args.map(CSSNumericValue.from);
+                this.a = this.values[0];
+                this.b = this.values[1];
+                this.c = this.values[4];
+                this.d = this.values[5];
+                this.e = this.values[12];
+                this.f = this.values[13];
+                this.is2D = false;
+            } else {
+                throw new TypeError(
+                    "CSSMatrixComponent requires 6 or 16 arguments"
+                );
+            }
+        }
+
         toString() {
-            return `matrix(${this.a}, ${this.b}, ${this.c}, ${this.d}, ${this.e}, ${this.f})`;
+            return this.is2D
+                ? `matrix(${this.a}, ${this.b}, ${this.c}, ${this.d}, ${this.e}, ${this.f})`
+                : `matrix3d(${this.values.join(', ')})`;
+        }
+
+        _toMatrix4() {
+            if (this.is2D) {
+                return Matrix4.from2D(
+                    ...[this.a, this.b, this.c, this.d, this.e, this.f]
+                        .map(v => resolveArg(v, 'number'))
+                );
+            }
+            return new Matrix4(this.values.map(v => resolveArg(v, 'number')));
+        }
+
+        decompose() {
+            return decomposeTransform(this._toMatrix4());
         }
     }
 
@@ -1111,19 +2617,1320 @@
         }
 
         toMatrix() {
-            if (typeof DOMMatrix === 'undefined') {
-                throw new Error("DOMMatrix not available");
+            return toDOMMatrix(this._toMatrix4());
+        }
+
+        // Strings are parsed; 'none' (or null) is an empty list. Two empty
+        // lists interpolate to the keyword 'none'.
+        static interpolate(a, b, t) {
+            checkProgress(t);
+            const rectify = v => {
+                if (typeof v === 'string') v = CSSStyleValue.parse('transform', v);
+                if (v === null || (v instanceof CSSKeywordValue && v.value === 'none')) {
+                    return new CSSTransformValue([]);
+                }
+                if (!(v instanceof CSSTransformValue)) {
+                    throw new TypeError(`Cannot interpolate non-transform value: ${v}`);
+                }
+                return v;
+            };
+
+            const from = rectify(a), to = rectify(b);
+            if (from.length === 0 && to.length === 0) return new CSSKeywordValue('none');
+            return interpolateTransform(from, to, t);
+        }
+
+        // Unmatrix into translate/rotate/skew/scale (and perspective)
+        // components plus the raw decomposition; null when singular
+        decompose() {
+            return decomposeTransform(this._toMatrix4());
+        }
+
+        _toMatrix4() {
+            let m = new Matrix4(null, true);
+            for (let i = 0; i < this.length; i++) {
+                m = m.multiply(this[i]._toMatrix4());
+            }
+            return m;
+        }
+    }
+
+    // --- 6.1 Decomposition (spec: "unmatrix") ---
+
+    const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const cross3 = (a, b) => [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+    const combine3 = (a, b, ascl, bscl) => a.map((v, i) => v * ascl + b[i] * bscl);
+    const normalize3 = (a) => {
+        const len = Math.hypot(...a);
+        return a.map(v => v / len);
+    };
+
+    // Splits a Matrix4 into perspective, translate, quaternion, skew and
+    // scale; null when the matrix cannot be decomposed
+    function decomposeMatrix(matrix) {
+        const m = matrix.toFloat64Array();
+        const at = (col, row) => m[col * 4 + row];
+
+        if (m[15] === 0) return null;
+        for (let i = 0; i < 16; i++) m[i] /= m[15];
+
+        // perspectiveMatrix clears the perspective partition
+        const pm = new Matrix4(m);
+        pm._m[3] = pm._m[7] = pm._m[11] = 0;
+        pm._m[15] = 1;
+        if (determinant4(pm._m) === 0) return null;
+
+        let perspective = [0, 0, 0, 1];
+        if (at(0, 3) !== 0 || at(1, 3) !== 0 || at(2, 3) !== 0) {
+            // rightHandSide * transpose(inverse(perspectiveMatrix))
+            const inv = pm.inverse()._m;
+            const rhs = [at(0, 3), at(1, 3), at(2, 3), at(3, 3)];
+            perspective = [0, 1, 2, 3].map(i =>
+                rhs[0] * inv[i * 4] + rhs[1] * inv[i * 4 + 1] +
+                rhs[2] * inv[i * 4 + 2] + rhs[3] * inv[i * 4 + 3]);
+        }
+
+        const translate = [at(3, 0), at(3, 1), at(3, 2)];
+        const row = [0, 1, 2].map(i => [at(i, 0), at(i, 1), at(i, 2)]);
+        const scale = [0, 0, 0];
+        const skew = [0, 0, 0];
+
+        scale[0] = Math.hypot(...row[0]);
+        row[0] = normalize3(row[0]);
+
+        skew[0] = dot3(row[0], row[1]);
+        row[1] = combine3(row[1], row[0], 1, -skew[0]);
+
+        scale[1] = Math.hypot(...row[1]);
+        row[1] = normalize3(row[1]);
+        skew[0] /= scale[1];
+
+        skew[1] = dot3(row[0], row[2]);
+        row[2] = combine3(row[2], row[0], 1, -skew[1]);
+        skew[2] = dot3(row[1], row[2]);
+        row[2] = combine3(row[2], row[1], 1, -skew[2]);
+
+        scale[2] = Math.hypot(...row[2]);
+        row[2] = normalize3(row[2]);
+        skew[1] /= scale[2];
+        skew[2] /= scale[2];
+
+        // A negative determinant flips the coordinate system. 3D matrices
+        // negate every axis, which leaves the shears as they are; 2D
+        // matrices flip x only, so the rotation stays about z and the
+        // shears against x change sign
+        if (dot3(row[0], cross3(row[1], row[2])) < 0) {
+            for (let i = 0; i < (matrix.is2D ? 1 : 3); i++) {
+                scale[i] *= -1;
+                row[i] = row[i].map(v => -v);
+            }
+            if (matrix.is2D) {
+                skew[0] *= -1;
+                skew[1] *= -1;
+            }
+        }
+
+        const quaternion = [
+            0.5 * Math.sqrt(Math.max(1 + row[0][0] - row[1][1] - row[2][2], 0)),
+            0.5 * Math.sqrt(Math.max(1 - row[0][0] + row[1][1] - row[2][2], 0)),
+            0.5 * Math.sqrt(Math.max(1 - row[0][0] - row[1][1] + row[2][2], 0)),
+            0.5 * Math.sqrt(Math.max(1 + row[0][0] + row[1][1] + row[2][2], 0))
+        ];
+        if (row[2][1] > row[1][2]) quaternion[0] = -quaternion[0];
+        if (row[0][2] > row[2][0]) quaternion[1] = -quaternion[1];
+        if (row[1][0] > row[0][1]) quaternion[2] = -quaternion[2];
+
+        return { perspective, translate, quaternion, skew, scale };
+    }
+
+    // Inverse of decomposeMatrix()
+    function recomposeMatrix({ perspective, translate, quaternion, skew, scale }) {
+        let m = new Matrix4();
+        for (let i = 0; i < 4; i++) m._m[i * 4 + 3] = perspective[i];
+
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) m._m[12 + i] += translate[j] * m._m[j * 4 + i];
+        }
+
+        const [x, y, z, w] = quaternion;
+        m = m.multiply(new Matrix4([
+            1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+            2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+            2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+            0, 0, 0, 1
+        ]));
+
+        // Shear in yz, xz, then xy
+        [[9, skew[2]], [8, skew[1]], [4, skew[0]]].forEach(([index, value]) => {
+            if (!value) return;
+            const shear = new Matrix4();
+            shear._m[index] = value;
+            m = m.multiply(shear);
+        });
+
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 4; j++) m._m[i * 4 + j] *= scale[i];
+        }
+        return m;
+    }
+
+    const isZero = (v) => Math.abs(v) < EPSILON;
+    // Drops float noise, relative to the largest value it was computed with
+    const snap = (v, magnitude = 1) => Math.abs(v) < EPSILON * Math.max(1, magnitude) ? 0 : v;
+    const maxAbs = (values) => Math.max(...Array.from(values, Math.abs));
+    const deg = (v) => new CSSUnitValue(snap(v * 180 / Math.PI, 360), 'deg');
+
+    // The quaternion holds the half angle; its vector part is the axis
+    const quaternionToRotate = ([qx, qy, qz, qw], is2D) => {
+        const len = Math.hypot(qx, qy, qz);
+        const angle = 2 * Math.atan2(len, qw);
+        if (is2D) return new CSSRotate(deg(qz < 0 ? -angle : angle));
+
+        // The square roots in decomposeMatrix() leave noise of about 1e-8
+        // of the largest axis component
+        const axis = len ? [qx / len, qy / len, qz / len] : [0, 0, 1];
+        const noise = 1e-7 * maxAbs(axis);
+        return new CSSRotate(
+            ...axis.map(v => new CSSUnitValue(Math.abs(v) < noise ? 0 : v, 'number')),
+            deg(angle)
+        );
+    };
+
+    // Editable components for a decomposition, in recomposition order:
+    // [perspective] translate rotate skew scale
+    function decompositionToTransform(d, is2D) {
+        const list = [];
+        const px = v => new CSSUnitValue(snap(v, maxAbs(d.translate)), 'px');
+
+        const [p0, p1, p2, p3] = d.perspective;
+        if (!isZero(p0) || !isZero(p1) || !isZero(p3 - 1)) {
+            const pm = new Matrix4();
+            for (let i = 0; i < 4; i++) pm._m[i * 4 + 3] = d.perspective[i];
+            list.push(new CSSMatrixComponent(...pm._m));
+        } else if (!isZero(p2)) {
+            list.push(new CSSPerspective(px(-1 / p2)));
+        }
+
+        const [tx, ty, tz] = d.translate;
+        list.push(is2D ? new CSSTranslate(px(tx), px(ty)) : new CSSTranslate(px(tx), px(ty), px(tz)));
+
+        list.push(quaternionToRotate(d.quaternion, is2D));
+
+        const [kxy, kxz, kyz] = d.skew;
+        if (!isZero(kxz) || !isZero(kyz)) {
+            const shear = recomposeMatrix({
+                perspective: [0, 0, 0, 1], translate: [0, 0, 0],
+                quaternion: [0, 0, 0, 1], skew: d.skew, scale: [1, 1, 1]
+            });
+            list.push(new CSSMatrixComponent(...shear._m));
+        } else {
+            list.push(new CSSSkew(deg(Math.atan(kxy)), deg(0)));
+        }
+
+        const [sx, sy, sz] = d.scale;
+        list.push(is2D ? new CSSScale(sx, sy) : new CSSScale(sx, sy, sz));
+
+        return new CSSTransformValue(list);
+    }
+
+    // Public shape of a decomposition: components plus the raw data
+    function decomposeTransform(matrix) {
+        const d = decomposeMatrix(matrix);
+        if (!d) return null;
+        return Object.assign({ transform: decompositionToTransform(d, matrix.is2D) }, d);
+    }
+
+    // --- 6.2 Interpolation (spec: "Interpolation of Transforms") ---
+
+    // Spherical interpolation of unit quaternions; like the spec, this does
+    // not flip to the shortest path
+    function slerp(qa, qb, t) {
+        const product = Math.max(-1, Math.min(1,
+            qa.reduce((sum, v, i) => sum + v * qb[i], 0)));
+        if (Math.abs(product) === 1) return qa.slice();
+
+        const theta = Math.acos(product);
+        const w = Math.sin(t * theta) / Math.sqrt(1 - product * product);
+        const k = Math.cos(t * theta) - product * w;
+        return qa.map((v, i) => v * k + qb[i] * w);
+    }
+
+    // Unit axis of a rotation; a zero axis is no rotation, so any will do
+    const rotationAxis = (rotate) => {
+        if (rotate.is2D) return [0, 0, 1];
+        const axis = [rotate.x, rotate.y, rotate.z].map(v => resolveArg(v, 'number'));
+        return axis.some(v => v !== 0) ? normalize3(axis) : [0, 0, 1];
+    };
+
+    const rotationQuaternion = (rotate) => {
+        const angle = resolveAngle(rotate.angle);
+        const sin = Math.sin(angle / 2);
+        return [...rotationAxis(rotate).map(v => v * sin), Math.cos(angle / 2)];
+    };
+
+    // Decompose both matrices, blend the parts and recompose; null when
+    // either side cannot be decomposed
+    function mixMatrices(ma, mb, t) {
+        const da = decomposeMatrix(ma), db = decomposeMatrix(mb);
+        if (!da || !db) return null;
+
+        const mix = key => da[key].map((v, i) => lerp(v, db[key][i], t));
+        const m = recomposeMatrix({
+            perspective: mix('perspective'), translate: mix('translate'),
+            quaternion: slerp(da.quaternion, db.quaternion, t),
+            skew: mix('skew'), scale: mix('scale')
+        });
+
+        return ma.is2D && mb.is2D
+            ? new CSSMatrixComponent(m.a, m.b, m.c, m.d, m.e, m.f)
+            : new CSSMatrixComponent(...Array.from(m._m, v => snap(v, maxAbs(m._m))));
+    }
+
+    // Zero in the unit of `v`, so translateX(50%) starts from 0%
+    const zeroLike = (v, unit) =>
+        new CSSUnitValue(0, v instanceof CSSUnitValue ? v.unit : unit);
+
+    // The identity function matching a component, used to pad the shorter list
+    function identityComponent(c) {
+        if (c instanceof CSSTranslate) {
+            const zero = v => zeroLike(v, 'px');
+            return c.is2D
+                ? new CSSTranslate(zero(c.x), zero(c.y))
+                : new CSSTranslate(zero(c.x), zero(c.y), zero(c.z));
+        }
+        if (c instanceof CSSRotate) {
+            return c.is2D
+                ? new CSSRotate(zeroLike(c.angle, 'deg'))
+                : new CSSRotate(c.x, c.y, c.z, zeroLike(c.angle, 'deg'));
+        }
+        if (c instanceof CSSScale) return c.is2D ? new CSSScale(1, 1) : new CSSScale(1, 1, 1);
+        if (c instanceof CSSSkew) return new CSSSkew(zeroLike(c.ax, 'deg'), zeroLike(c.ay, 'deg'));
+        if (c instanceof CSSSkewX) return new CSSSkewX(zeroLike(c.ax, 'deg'));
+        if (c instanceof CSSSkewY) return new CSSSkewY(zeroLike(c.ay, 'deg'));
+
+        // perspective(none) and matrices fall back to the identity matrix
+        return c.is2D
+            ? new CSSMatrixComponent(1, 0, 0, 1, 0, 0)
+            : new CSSMatrixComponent(...Matrix4.identityArray());
+    }
+
+    const isSkew = (c) =>
+        c instanceof CSSSkew || c instanceof CSSSkewX || c instanceof CSSSkewY;
+
+    // Blends two components sharing a primitive; null when they do not
+    function mixComponent(a, b, t) {
+        const mix = (x, y) => mixNumeric(x, y, t);
+        const flat = a.is2D && b.is2D;
+
+        if (a instanceof CSSTranslate && b instanceof CSSTranslate) {
+            return flat
+                ? new CSSTranslate(mix(a.x, b.x), mix(a.y, b.y))
+                : new CSSTranslate(mix(a.x, b.x), mix(a.y, b.y), mix(a.z, b.z));
+        }
+        if (a instanceof CSSScale && b instanceof CSSScale) {
+            const factor = (x, y) => mix(scaleFactor(x), scaleFactor(y));
+            return flat
+                ? new CSSScale(factor(a.x, b.x), factor(a.y, b.y))
+                : new CSSScale(factor(a.x, b.x), factor(a.y, b.y), factor(a.z, b.z));
+        }
+        if (a instanceof CSSRotate && b instanceof CSSRotate) {
+            if (flat) return new CSSRotate(mix(a.angle, b.angle));
+
+            // A shared axis interpolates the angle; otherwise slerp
+            const axis = rotationAxis(a), other = rotationAxis(b);
+            if (axis.every((v, i) => isZero(v - other[i]))) {
+                const c = a.is2D ? b : a;
+                return new CSSRotate(c.x, c.y, c.z, mix(a.angle, b.angle));
+            }
+            return quaternionToRotate(
+                slerp(rotationQuaternion(a), rotationQuaternion(b), t), false);
+        }
+        if (isSkew(a) && isSkew(b)) {
+            if (a.constructor === b.constructor && !(a instanceof CSSSkew)) {
+                return a instanceof CSSSkewX
+                    ? new CSSSkewX(mix(a.ax, b.ax))
+                    : new CSSSkewY(mix(a.ay, b.ay));
+            }
+            const angle = (c, key) => c[key] || new CSSUnitValue(0, 'deg');
+            return new CSSSkew(
+                mix(angle(a, 'ax'), angle(b, 'ax')),
+                mix(angle(a, 'ay'), angle(b, 'ay'))
+            );
+        }
+        if (a instanceof CSSPerspective && b instanceof CSSPerspective) {
+            return new CSSPerspective(mix(a.length, b.length));
+        }
+        if (a instanceof CSSMatrixComponent && b instanceof CSSMatrixComponent) {
+            return mixMatrices(a._toMatrix4(), b._toMatrix4(), t);
+        }
+        return null;
+    }
+
+    // Pads the shorter list with identity functions, blends the common
+    // prefix pairwise and the rest as one matrix. A matrix that cannot be
+    // decomposed makes the whole value discrete (flips at t = 0.5).
+    function interpolateTransform(from, to, t) {
+        const a = Array.from(from), b = Array.from(to);
+        while (a.length < b.length) a.push(identityComponent(b[a.length]));
+        while (b.length < a.length) b.push(identityComponent(a[b.length]));
+
+        const list = [];
+        let i = 0;
+        for (; i < a.length; i++) {
+            const c = mixComponent(a[i], b[i], t);
+            if (!c) break;
+            list.push(c);
+        }
+
+        if (i < a.length) {
+            const rest = mixMatrices(
+                new CSSTransformValue(a.slice(i))._toMatrix4(),
+                new CSSTransformValue(b.slice(i))._toMatrix4(),
+                t
+            );
+            if (!rest) return t < 0.5 ? from : to;
+            list.push(rest);
+        }
+
+        return new CSSTransformValue(list);
+    }
+
+    // --- 7. Colors ---
+
+    const NAMED_COLORS = {
+        aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+        azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+        blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+        burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+        coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+        cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+        darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+        darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+        darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+        darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+        deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+        dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+        fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+        goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+        grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+        indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+        lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+        lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+        lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+        lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+        lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+        linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+        mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+        mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+        midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+        navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+        olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+        palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+        papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+        plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+        red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+        salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+        sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+        slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+        steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+        tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+        white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+    };
+
+    const COLOR_FUNCS = {
+        rgb: 1, rgba: 1, hsl: 1, hsla: 1, hwb: 1,
+        lab: 1, lch: 1, oklab: 1, oklch: 1, color: 1
+    };
+
+    // Functions that also accept the legacy comma-separated syntax
+    const LEGACY_COLOR_FUNCS = { rgb: 1, rgba: 1, hsl: 1, hsla: 1 };
+
+    // System colors, reified as keywords like currentcolor
+    const SYSTEM_COLORS = {
+        accentcolor: 1, accentcolortext: 1, activetext: 1, buttonborder: 1,
+        buttonface: 1, buttontext: 1, canvas: 1, canvastext: 1, field: 1,
+        fieldtext: 1, graytext: 1, highlight: 1, highlighttext: 1, linktext: 1,
+        mark: 1, marktext: 1, selecteditem: 1, selecteditemtext: 1, visitedtext: 1
+    };
+
+    // Valid colors without a CSSColorValue here (color-mix(), light-dark(),
+    // relative colors, unconverted color() spaces) stay unparsed
+    const OPAQUE_COLOR_FUNCS = { 'color-mix': 1, 'light-dark': 1 };
+    const OPAQUE_COLOR_SPACES = { 'rec2020': 1, 'a98-rgb': 1, 'prophoto-rgb': 1 };
+
+    const isOpaqueColor = (text) => {
+        const m = /^([a-z-]+)\(\s*([a-z0-9-]*)/i.exec(text);
+        if (!m || findClose(text, m[0].indexOf('(') + 1) !== text.length - 1) return false;
+
+        const func = m[1].toLowerCase(), first = m[2].toLowerCase();
+        return OPAQUE_COLOR_FUNCS.hasOwnProperty(func) ||
+            (COLOR_FUNCS.hasOwnProperty(func) && first === 'from') ||
+            (func === 'color' && OPAQUE_COLOR_SPACES.hasOwnProperty(first));
+    };
+
+    const mulMat3 = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+    const invertMat3 = (m) => {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        return [
+            [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+            [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+        ];
+    };
+
+    // Every conversion pivots through CIE XYZ (D65)
+    const SRGB_TO_XYZ = [
+        [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+        [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+        [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+    ];
+    const P3_TO_XYZ = [
+        [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+        [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+        [0, 0.04511338185890264, 1.043944368900976]
+    ];
+    // Bradford chromatic adaptation
+    const D65_TO_D50 = [
+        [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+        [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+        [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+    ];
+    // OKLab: linear sRGB -> LMS, and cube-rooted LMS -> Lab
+    const OKLAB_LMS = [
+        [0.4122214708, 0.5363325363, 0.0514459929],
+        [0.2119034982, 0.6806995451, 0.1073969566],
+        [0.0883024619, 0.2817188376, 0.6299787005]
+    ];
+    const OKLAB_LAB = [
+        [0.2104542553, 0.7936177850, -0.0040720468],
+        [1.9779984951, -2.4285922050, 0.4505937099],
+        [0.0259040371, 0.7827717662, -0.8086757660]
+    ];
+
+    const XYZ_TO_SRGB = invertMat3(SRGB_TO_XYZ);
+    const XYZ_TO_P3 = invertMat3(P3_TO_XYZ);
+    const D50_TO_D65 = invertMat3(D65_TO_D50);
+    const LMS_TO_OKLAB_INV = invertMat3(OKLAB_LMS);
+    const OKLAB_LAB_INV = invertMat3(OKLAB_LAB);
+    const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+    const srgbToLinear = (c) => {
+        const a = Math.abs(c);
+        return a <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((a + 0.055) / 1.055, 2.4);
+    };
+
+    const linearToSrgb = (c) => {
+        const a = Math.abs(c);
+        return a > 0.0031308 ? Math.sign(c) * (1.055 * Math.pow(a, 1 / 2.4) - 0.055) : 12.92 * c;
+    };
+
+    // Predefined color() spaces, each mapped to and from XYZ D65
+    const PREDEFINED_SPACES = {
+        'srgb': {
+            toXYZ: c => mulMat3(SRGB_TO_XYZ, c.map(srgbToLinear)),
+            fromXYZ: xyz => mulMat3(XYZ_TO_SRGB, xyz).map(linearToSrgb)
+        },
+        'srgb-linear': {
+            toXYZ: c => mulMat3(SRGB_TO_XYZ, c),
+            fromXYZ: xyz => mulMat3(XYZ_TO_SRGB, xyz)
+        },
+        'display-p3': {
+            toXYZ: c => mulMat3(P3_TO_XYZ, c.map(srgbToLinear)),
+            fromXYZ: xyz => mulMat3(XYZ_TO_P3, xyz).map(linearToSrgb)
+        },
+        'xyz-d65': { toXYZ: c => c.slice(), fromXYZ: xyz => xyz.slice() },
+        'xyz': { toXYZ: c => c.slice(), fromXYZ: xyz => xyz.slice() },
+        'xyz-d50': {
+            toXYZ: c => mulMat3(D50_TO_D65, c),
+            fromXYZ: xyz => mulMat3(D65_TO_D50, xyz)
+        }
+    };
+
+    const LAB_E = 216 / 24389, LAB_K = 24389 / 27;
+
+    // Rounding in the white points leaves neutral colors with a few millionths
+    // of chroma; zero it so grays stay achromatic
+    const snapNoise = (v, eps) => (Math.abs(v) < eps ? 0 : v);
+
+    const xyzToLab = (xyz) => {
+        const f = mulMat3(D65_TO_D50, xyz).map((v, i) => {
+            v /= D50_WHITE[i];
+            return v > LAB_E ? Math.cbrt(v) : (LAB_K * v + 16) / 116;
+        });
+        return [
+            116 * f[1] - 16,
+            snapNoise(500 * (f[0] - f[1]), 1e-4),
+            snapNoise(200 * (f[1] - f[2]), 1e-4)
+        ];
+    };
+
+    const labToXyz = ([l, a, b]) => {
+        const f1 = (l + 16) / 116;
+        const f0 = a / 500 + f1;
+        const f2 = f1 - b / 200;
+        const xyz = [
+            Math.pow(f0, 3) > LAB_E ? Math.pow(f0, 3) : (116 * f0 - 16) / LAB_K,
+            l > LAB_K * LAB_E ? Math.pow(f1, 3) : l / LAB_K,
+            Math.pow(f2, 3) > LAB_E ? Math.pow(f2, 3) : (116 * f2 - 16) / LAB_K
+        ].map((v, i) => v * D50_WHITE[i]);
+        return mulMat3(D50_TO_D65, xyz);
+    };
+
+    const xyzToOklab = (xyz) => {
+        const lms = mulMat3(OKLAB_LMS, mulMat3(XYZ_TO_SRGB, xyz)).map(Math.cbrt);
+        const [l, a, b] = mulMat3(OKLAB_LAB, lms);
+        return [l, snapNoise(a, 1e-6), snapNoise(b, 1e-6)];
+    };
+
+    const oklabToXyz = (lab) => {
+        const lms = mulMat3(OKLAB_LAB_INV, lab).map(v => v * v * v);
+        return mulMat3(SRGB_TO_XYZ, mulMat3(LMS_TO_OKLAB_INV, lms));
+    };
+
+    // Hue in [0, 360); float noise just below 360 is 0
+    const normalizeHue = (h) => {
+        h = ((h % 360) + 360) % 360;
+        return 360 - h < 360 * EPSILON ? 0 : h;
+    };
+
+    // Polar forms (LCH, OKLCH): hue in degrees, 0 when achromatic
+    const toPolar = ([l, a, b]) => {
+        const h = Math.atan2(b, a) * 180 / Math.PI;
+        return [l, Math.hypot(a, b), normalizeHue(h)];
+    };
+
+    const fromPolar = ([l, c, h]) => {
+        const r = h * Math.PI / 180;
+        return [l, c * Math.cos(r), c * Math.sin(r)];
+    };
+
+    const hslToRgb = (h, s, l) => {
+        h = normalizeHue(h);
+        const a = s * Math.min(l, 1 - l);
+        const f = (n) => {
+            const k = (n + h / 30) % 12;
+            return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [f(0), f(8), f(4)];
+    };
+
+    const rgbToHsl = ([r, g, b]) => {
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const d = max - min;
+        const l = (max + min) / 2;
+        let h = 0, s = 0;
+
+        if (d !== 0) {
+            s = (l === 0 || l === 1) ? 0 : (max - l) / Math.min(l, 1 - l);
+            if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+            else if (max === g) h = (b - r) / d + 2;
+            else h = (r - g) / d + 4;
+            h *= 60;
+        }
+        return [normalizeHue(h), s, l];
+    };
+
+    const hwbToRgb = (h, w, b) => {
+        if (w + b >= 1) {
+            const gray = w / (w + b);
+            return [gray, gray, gray];
+        }
+        return hslToRgb(h, 1, 0.5).map(c => c * (1 - w - b) + w);
+    };
+
+    // Channel values: JS numbers become <number>s, 'none' a keyword
+    const rectifyChannel = (v, kinds, name) => {
+        if (typeof v === 'number') v = new CSSUnitValue(v, 'number');
+        if (typeof v === 'string') v = new CSSKeywordValue(v);
+
+        if (v instanceof CSSKeywordValue) {
+            if (v.value.toLowerCase() === 'none') return v;
+        } else if (v instanceof CSSNumericValue) {
+            const type = resolveType(v);
+            if (type && kinds.some(k => typeMatches(type, k, false))) return v;
+        }
+        throw new TypeError(`Invalid ${name} channel: ${v}`);
+    };
+
+    const resolveUnit = (v) => {
+        if (v instanceof CSSUnitValue) return v;
+        const sum = createSumValue(v);
+        const unit = sum && sum.length === 1 && sumItemToUnitValue(sum[0]);
+        if (!unit) throw new TypeError(`Cannot resolve color channel: ${v}`);
+        return unit;
+    };
+
+    // Resolves a channel to a number; `percentRef` is the value of 100%
+    const channelValue = (v, percentRef) => {
+        if (v instanceof CSSKeywordValue) return 0;
+        const u = resolveUnit(v);
+        return u.unit === 'percent' || u.unit === '%' ? u.value / 100 * percentRef : u.value;
+    };
+
+    const hueValue = (v) => {
+        if (v instanceof CSSKeywordValue) return 0;
+        const u = resolveUnit(v);
+        return UNIT_MAP[u.unit] === 'angle' ? convertUnit(u.value, u.unit, 'deg') : u.value;
+    };
+
+    const alphaValue = (v) => Math.min(1, Math.max(0, channelValue(v, 1)));
+
+    const fmtNumber = (n) => String(Math.round(n * 1e6) / 1e6);
+
+    const fmtChannel = (v, percentRef) =>
+        v instanceof CSSKeywordValue ? 'none' : fmtNumber(channelValue(v, percentRef));
+
+    const fmtAlpha = (v) => {
+        const a = alphaValue(v);
+        return a < 1 ? ` / ${fmtNumber(a)}` : '';
+    };
+
+    // sRGB serialises in the legacy comma form with 8-bit channels
+    const serializeRGB = (rgb, alpha) => {
+        const [r, g, b] = rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255));
+        return alpha < 1
+            ? `rgba(${r}, ${g}, ${b}, ${fmtNumber(Math.round(alpha * 1000) / 1000)})`
+            : `rgb(${r}, ${g}, ${b})`;
+    };
+
+    const NUMBER_PERCENT = ['number', 'percent'];
+    const HUE = ['angle', 'number'];
+
+    class CSSColorValue extends CSSStyleValue {
+        constructor() {
+            super();
+            if (this.constructor === CSSColorValue) {
+                throw new TypeError("CSSColorValue is an abstract class");
+            }
+        }
+
+        // Converts to 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'
+        // or a predefined color() space such as 'display-p3'
+        to(colorSpace) {
+            const space = String(colorSpace).toLowerCase();
+            const cls = COLOR_CLASSES[space];
+
+            if (cls) {
+                return this instanceof cls ? this : cls._fromXYZ(this._toXYZ(), this.alpha);
+            }
+            if (PREDEFINED_SPACES[space]) {
+                if (this instanceof CSSColor && this.colorSpace === space) return this;
+                return CSSColor._fromXYZ(this._toXYZ(), this.alpha, space);
+            }
+            throw new SyntaxError(`Unknown color space: ${colorSpace}`);
+        }
+
+        static parse(cssText) {
+            try {
+                return Parser.parseColor(String(cssText).trim());
+            } catch (e) {
+                throw new SyntaxError(`Invalid color: ${cssText}. Error: ${e.message}`);
+            }
+        }
+    }
+
+    class CSSRGB extends CSSColorValue {
+        constructor(r, g, b, alpha = 1) {
+            super();
+            this.r = rectifyChannel(r, NUMBER_PERCENT, 'r');
+            this.g = rectifyChannel(g, NUMBER_PERCENT, 'g');
+            this.b = rectifyChannel(b, NUMBER_PERCENT, 'b');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _rgb() {
+            return [this.r, this.g, this.b].map(c => channelValue(c, 255) / 255);
+        }
+
+        _toXYZ() {
+            return PREDEFINED_SPACES.srgb.toXYZ(this._rgb());
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            const [r, g, b] = PREDEFINED_SPACES.srgb.fromXYZ(xyz);
+            return new CSSRGB(r * 255, g * 255, b * 255, alpha);
+        }
+
+        toString() {
+            return serializeRGB(this._rgb(), alphaValue(this.alpha));
+        }
+    }
+
+    class CSSHSL extends CSSColorValue {
+        constructor(h, s, l, alpha = 1) {
+            super();
+            this.h = rectifyChannel(h, HUE, 'h');
+            this.s = rectifyChannel(s, NUMBER_PERCENT, 's');
+            this.l = rectifyChannel(l, NUMBER_PERCENT, 'l');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _rgb() {
+            return hslToRgb(
+                hueValue(this.h),
+                channelValue(this.s, 100) / 100,
+                channelValue(this.l, 100) / 100
+            );
+        }
+
+        _toXYZ() {
+            return PREDEFINED_SPACES.srgb.toXYZ(this._rgb());
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            const [h, s, l] = rgbToHsl(PREDEFINED_SPACES.srgb.fromXYZ(xyz));
+            return new CSSHSL(
+                new CSSUnitValue(h, 'deg'),
+                new CSSUnitValue(s * 100, 'percent'),
+                new CSSUnitValue(l * 100, 'percent'),
+                alpha
+            );
+        }
+
+        // CSS Color 4 serialises hsl() as sRGB
+        toString() {
+            return serializeRGB(this._rgb(), alphaValue(this.alpha));
+        }
+    }
+
+    class CSSHWB extends CSSColorValue {
+        constructor(h, w, b, alpha = 1) {
+            super();
+            this.h = rectifyChannel(h, HUE, 'h');
+            this.w = rectifyChannel(w, NUMBER_PERCENT, 'w');
+            this.b = rectifyChannel(b, NUMBER_PERCENT, 'b');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _rgb() {
+            return hwbToRgb(
+                hueValue(this.h),
+                channelValue(this.w, 100) / 100,
+                channelValue(this.b, 100) / 100
+            );
+        }
+
+        _toXYZ() {
+            return PREDEFINED_SPACES.srgb.toXYZ(this._rgb());
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            const rgb = PREDEFINED_SPACES.srgb.fromXYZ(xyz);
+            const [h] = rgbToHsl(rgb);
+            return new CSSHWB(
+                new CSSUnitValue(h, 'deg'),
+                new CSSUnitValue(Math.min(...rgb) * 100, 'percent'),
+                new CSSUnitValue((1 - Math.max(...rgb)) * 100, 'percent'),
+                alpha
+            );
+        }
+
+        // CSS Color 4 serialises hwb() as sRGB
+        toString() {
+            return serializeRGB(this._rgb(), alphaValue(this.alpha));
+        }
+    }
+
+    class CSSLab extends CSSColorValue {
+        constructor(l, a, b, alpha = 1) {
+            super();
+            this.l = rectifyChannel(l, NUMBER_PERCENT, 'l');
+            this.a = rectifyChannel(a, NUMBER_PERCENT, 'a');
+            this.b = rectifyChannel(b, NUMBER_PERCENT, 'b');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _toXYZ() {
+            return labToXyz([
+                channelValue(this.l, 100),
+                channelValue(this.a, 125),
+                channelValue(this.b, 125)
+            ]);
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            return new CSSLab(...xyzToLab(xyz), alpha);
+        }
+
+        toString() {
+            return `lab(${fmtChannel(this.l, 100)} ${fmtChannel(this.a, 125)} ` +
+                `${fmtChannel(this.b, 125)}${fmtAlpha(this.alpha)})`;
+        }
+    }
+
+    class CSSLCH extends CSSColorValue {
+        constructor(l, c, h, alpha = 1) {
+            super();
+            this.l = rectifyChannel(l, NUMBER_PERCENT, 'l');
+            this.c = rectifyChannel(c, NUMBER_PERCENT, 'c');
+            this.h = rectifyChannel(h, HUE, 'h');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _toXYZ() {
+            return labToXyz(fromPolar([
+                channelValue(this.l, 100),
+                channelValue(this.c, 150),
+                hueValue(this.h)
+            ]));
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            const [l, c, h] = toPolar(xyzToLab(xyz));
+            return new CSSLCH(l, c, new CSSUnitValue(h, 'deg'), alpha);
+        }
+
+        toString() {
+            const h = this.h instanceof CSSKeywordValue ? 'none' : fmtNumber(hueValue(this.h));
+            return `lch(${fmtChannel(this.l, 100)} ${fmtChannel(this.c, 150)} ` +
+                `${h}${fmtAlpha(this.alpha)})`;
+        }
+    }
+
+    class CSSOKLab extends CSSColorValue {
+        constructor(l, a, b, alpha = 1) {
+            super();
+            this.l = rectifyChannel(l, NUMBER_PERCENT, 'l');
+            this.a = rectifyChannel(a, NUMBER_PERCENT, 'a');
+            this.b = rectifyChannel(b, NUMBER_PERCENT, 'b');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _toXYZ() {
+            return oklabToXyz([
+                channelValue(this.l, 1),
+                channelValue(this.a, 0.4),
+                channelValue(this.b, 0.4)
+            ]);
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            return new CSSOKLab(...xyzToOklab(xyz), alpha);
+        }
+
+        toString() {
+            return `oklab(${fmtChannel(this.l, 1)} ${fmtChannel(this.a, 0.4)} ` +
+                `${fmtChannel(this.b, 0.4)}${fmtAlpha(this.alpha)})`;
+        }
+    }
+
+    class CSSOKLCH extends CSSColorValue {
+        constructor(l, c, h, alpha = 1) {
+            super();
+            this.l = rectifyChannel(l, NUMBER_PERCENT, 'l');
+            this.c = rectifyChannel(c, NUMBER_PERCENT, 'c');
+            this.h = rectifyChannel(h, HUE, 'h');
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _toXYZ() {
+            return oklabToXyz(fromPolar([
+                channelValue(this.l, 1),
+                channelValue(this.c, 0.4),
+                hueValue(this.h)
+            ]));
+        }
+
+        static _fromXYZ(xyz, alpha) {
+            const [l, c, h] = toPolar(xyzToOklab(xyz));
+            return new CSSOKLCH(l, c, new CSSUnitValue(h, 'deg'), alpha);
+        }
+
+        toString() {
+            const h = this.h instanceof CSSKeywordValue ? 'none' : fmtNumber(hueValue(this.h));
+            return `oklch(${fmtChannel(this.l, 1)} ${fmtChannel(this.c, 0.4)} ` +
+                `${h}${fmtAlpha(this.alpha)})`;
+        }
+    }
+
+    class CSSColor extends CSSColorValue {
+        constructor(colorSpace, channels, alpha = 1) {
+            super();
+
+            const space = String(colorSpace).toLowerCase();
+            if (!PREDEFINED_SPACES[space]) {
+                throw new SyntaxError(`Unknown color space: ${colorSpace}`);
+            }
+            if (!Array.isArray(channels) || channels.length !== 3) {
+                throw new TypeError("CSSColor requires an array of 3 channels");
+            }
+
+            // `xyz` is an alias; serialize the canonical name
+            this.colorSpace = space === 'xyz' ? 'xyz-d65' : space;
+            this.channels = channels.map((c, i) => rectifyChannel(c, NUMBER_PERCENT, `#${i}`));
+            this.alpha = rectifyChannel(alpha, NUMBER_PERCENT, 'alpha');
+        }
+
+        _toXYZ() {
+            return PREDEFINED_SPACES[this.colorSpace].toXYZ(
+                this.channels.map(c => channelValue(c, 1))
+            );
+        }
+
+        static _fromXYZ(xyz, alpha, colorSpace = 'srgb') {
+            return new CSSColor(colorSpace, PREDEFINED_SPACES[colorSpace].fromXYZ(xyz), alpha);
+        }
+
+        toString() {
+            const channels = this.channels.map(c => fmtChannel(c, 1)).join(' ');
+            return `color(${this.colorSpace} ${channels}${fmtAlpha(this.alpha)})`;
+        }
+    }
+
+    const COLOR_CLASSES = {
+        rgb: CSSRGB, hsl: CSSHSL, hwb: CSSHWB, lab: CSSLab,
+        lch: CSSLCH, oklab: CSSOKLab, oklch: CSSOKLCH
+    };
+
+    const hexToRGB = (hex) => {
+        if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+            throw new Error(`Invalid hex color: #${hex}`);
+        }
+        if (hex.length <= 4) hex = hex.replace(/./g, '$&$&');
+
+        const n = i => parseInt(hex.slice(i, i + 2), 16);
+        return new CSSRGB(n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1);
+    };
+
+    // --- 8. Parser ---
+
+    // Value syntax: a `|`-separated list of data types (<length>) and keywords,
+    // each optionally followed by a `+` (space list) or `#` (comma list)
+    // multiplier, or the universal syntax `*`. Numeric data types name the
+    // base type they require and whether a percentage may stand in for it.
+    const NUMERIC_SYNTAX = {
+        'number': ['number', false], 'integer': ['number', false],
+        'percentage': ['percent', false],
+        'length': ['length', false], 'length-percentage': ['length', true],
+        'angle': ['angle', false], 'time': ['time', false],
+        'frequency': ['frequency', false], 'resolution': ['resolution', false],
+        'flex': ['flex', false]
+    };
+
+    // Data types Moonlight validates but does not reify (kept as unparsed text)
+    const OPAQUE_SYNTAX = {
+        'image': /^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.*\)$/i,
+        'url': /^url\(.*\)$/i,
+        'string': /^("[^"]*"|'[^']*')$/
+    };
+
+    const STRUCTURAL_SYNTAX = {
+        'transform-list': 1, 'transform-function': 1, 'custom-ident': 1, 'color': 1
+    };
+
+    const SYNTAX_CACHE = new Map();
+
+    function parseSyntax(text) {
+        let syntax = SYNTAX_CACHE.get(text);
+        if (syntax) return syntax;
+
+        if (text.trim() === '*') {
+            syntax = { text, universal: true, components: [] };
+            SYNTAX_CACHE.set(text, syntax);
+            return syntax;
+        }
+
+        const components = text.split('|').map(part => {
+            part = part.trim();
+            const m = /^(?:<([a-z-]+)>|([a-z_-][a-z0-9_-]*))([+#]?)$/i.exec(part);
+            if (!m) {
+                throw new SyntaxError(`Invalid syntax component: "${part}"`);
+            }
+
+            const type = m[1];
+            if (type && !NUMERIC_SYNTAX[type] && !OPAQUE_SYNTAX[type] &&
+                !STRUCTURAL_SYNTAX[type]) {
+                throw new SyntaxError(`Unknown data type: <${type}>`);
+            }
+            if (type === 'transform-list' && m[3]) {
+                throw new SyntaxError("<transform-list> cannot take a multiplier");
+            }
+
+            const comp = type ? { type } : { keyword: m[2].toLowerCase() };
+            comp.multiplier = m[3] || null;
+            return comp;
+        });
+
+        syntax = { text, universal: false, components };
+        SYNTAX_CACHE.set(text, syntax);
+        return syntax;
+    }
+
+    // Registered custom properties (CSS Properties and Values API)
+    const PROPERTY_REGISTRY = new Map();
+
+    // Font- and viewport-relative lengths (em, vw, ...) have no fixed ratio
+    const isRelativeUnit = (unit) =>
+        UNIT_MAP[unit] === 'length' && !UNIT_RATIOS.hasOwnProperty(unit);
+
+    // Whether a value needs an element to compute (spec: "computationally
+    // independent" values may not)
+    function dependsOnElement(v) {
+        if (v instanceof CSSUnitValue) return isRelativeUnit(v.unit);
+        if (v instanceof CSSVariableReferenceValue) return true;
+        if (v instanceof CSSStyleValue || Array.isArray(v)) {
+            return Object.values(v).some(x => x && typeof x === 'object' && dependsOnElement(x));
+        }
+        return false;
+    }
+
+    // A DOMException where the environment has one (browsers, Node 17+),
+    // otherwise an Error with the same name
+    const domException = (message, name) => {
+        if (typeof DOMException !== 'undefined') return new DOMException(message, name);
+        const e = new Error(message);
+        e.name = name;
+        return e;
+    };
+
+    // Validates a definition into a registry entry, without registering it
+    function createRegistration(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new TypeError("registerProperty requires a definition object");
+        }
+
+        const { name, inherits, initialValue } = definition;
+        const syntaxText = definition.syntax === undefined ? '*' : String(definition.syntax);
+
+        if (typeof name !== 'string' || !name.startsWith('--')) {
+            throw new SyntaxError(`Invalid custom property name: ${name}`);
+        }
+        if (typeof inherits !== 'boolean') {
+            throw new TypeError("registerProperty requires a boolean 'inherits'");
+        }
+        if (PROPERTY_REGISTRY.has(name)) {
+            throw domException(
+                `Property ${name} is already registered`, 'InvalidModificationError'
+            );
+        }
+
+        const syntax = parseSyntax(syntaxText);
+        const def = { name, syntax, inherits, initialValue: null };
+
+        if (initialValue !== undefined) {
+            try {
+                def.initialValue = Parser.parseRegistered(def, String(initialValue));
+            } catch (e) {
+                throw new SyntaxError(e.message);
+            }
+            if (!syntax.universal && def.initialValue.some(dependsOnElement)) {
+                throw new SyntaxError(
+                    `The initialValue of ${name} must be computationally independent: ${initialValue}`
+                );
+            }
+        } else if (!syntax.universal) {
+            throw new SyntaxError(`An initialValue is required for syntax "${syntaxText}"`);
+        }
+
+        return def;
+    }
+
+    function registerProperty(definition) {
+        const def = createRegistration(definition);
+        PROPERTY_REGISTRY.set(def.name, def);
+    }
+
+    const getPropertySyntax = (prop) => {
+        const def = PROPERTY_REGISTRY.get(prop);
+        if (def) return def.syntax;
+        return PROPERTY_SYNTAX.hasOwnProperty(prop) ? parseSyntax(PROPERTY_SYNTAX[prop]) : null;
+    };
+
+    // Separator used to serialise a list of values for a property
+    const listSeparator = (prop) => {
+        if (COMMA_SEPARATED_PROPS[prop]) return ', ';
+        const def = PROPERTY_REGISTRY.get(prop);
+        if (def && def.syntax.components.some(c => c.multiplier === '#')) return ', ';
+        return ' ';
+    };
+
+    // Checks a resolved numeric type against one base type
+    const typeMatches = (type, base, allowPercent) => {
+        const keys = BASE_TYPE_KEYS.filter(k => type[k]);
+        if (keys.length === 0) return base === 'number' && !type.percentHint;
+        if (keys.length !== 1 || type[keys[0]] !== 1) return false;
+        if (keys[0] === 'percent') return base === 'percent' || allowPercent;
+        return keys[0] === base &&
+            (!type.percentHint || (allowPercent && type.percentHint === base));
+    };
+
+    function matchesComponent(value, comp) {
+        if (comp.keyword) {
+            return value instanceof CSSKeywordValue &&
+                value.value.toLowerCase() === comp.keyword;
+        }
+        if (comp.type === 'transform-list') return value instanceof CSSTransformValue;
+        if (comp.type === 'transform-function') {
+            return value instanceof CSSTransformValue && value.length === 1;
+        }
+        if (comp.type === 'custom-ident') return value instanceof CSSKeywordValue;
+        if (comp.type === 'color') {
+            if (value instanceof CSSColorValue) return true;
+            if (!(value instanceof CSSKeywordValue)) return false;
+            const name = value.value.toLowerCase();
+            return name === 'currentcolor' || name === 'transparent' ||
+                NAMED_COLORS.hasOwnProperty(name) || SYSTEM_COLORS.hasOwnProperty(name);
+        }
+        if (OPAQUE_SYNTAX[comp.type]) {
+            return value instanceof CSSKeywordValue && OPAQUE_SYNTAX[comp.type].test(value.value);
+        }
+
+        const numeric = NUMERIC_SYNTAX[comp.type];
+        if (!numeric || !(value instanceof CSSNumericValue)) return false;
+
+        const type = resolveType(value);
+        if (!type) return true; // Depends on var(), checked at computed time
+        if (!typeMatches(type, numeric[0], numeric[1])) return false;
+        if (comp.type === 'integer' && value instanceof CSSUnitValue) {
+            return Number.isInteger(value.value);
+        }
+        return true;
+    }
+
+    function matchesSyntax(value, syntax) {
+        if (syntax.universal) return true;
+
+        // Unresolved references and CSS-wide keywords are valid everywhere
+        if (value instanceof CSSUnparsedValue ||
+            value instanceof CSSVariableReferenceValue) return true;
+        if (value instanceof CSSKeywordValue &&
+            CSS_WIDE_KEYWORDS[value.value.toLowerCase()]) return true;
+
+        return syntax.components.some(c => matchesComponent(value, c));
+    }
+
+    // A calc() where an <integer> is required resolves to the nearest one
+    const roundToInteger = (value, text) =>
+        value instanceof CSSUnitValue && value.unit === 'number' && text.includes('(')
+            ? new CSSUnitValue(Math.round(value.value), 'number')
+            : value;
+
+    // Splits text on a separator (',' or whitespace) outside of
+    // parentheses and quoted strings. An empty comma-separated item is
+    // invalid; repeated whitespace is not.
+    function splitTopLevel(text, sep) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+
+            if (quote) {
+                if (c === '\\') {
+                    i++;
+                } else if (c === quote) {
+                    quote = null;
+                }
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '(') {
+                depth++;
+            } else if (c === ')') {
+                depth--;
+            } else if (depth === 0 && (sep === ' ' ? c.charCodeAt(0) <= 32 : c === sep)) {
+                parts.push(text.slice(start, i));
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start));
+
+        const items = parts.map(p => p.trim());
+        if (sep === ',' && items.includes('')) {
+            throw new TypeError(`Empty item in comma-separated list: ${text}`);
+        }
+        return items.filter(p => p !== '');
+    }
+
+    const VAR_NAME = /^var\(\s*(--[^\s,()]+)\s*/i;
+
+    // Tokenizes a component value list into CSSUnparsedValue members:
+    // strings interleaved with var() references, fallbacks included
+    function parseUnparsed(text) {
+        const members = [];
+        let quote = null;
+        let start = 0;
+        let i = 0;
+
+        const push = (str) => {
+            if (!str) return;
+            const last = members.length - 1;
+            if (typeof members[last] === 'string') members[last] += str;
+            else members.push(str);
+        };
+
+        while (i < text.length) {
+            const c = text[i];
+
+            if (quote) {
+                if (c === '\\') i++;
+                else if (c === quote) quote = null;
+                i++;
+                continue;
+            }
+            if (c === '"' || c === "'") {
+                quote = c;
+                i++;
+                continue;
+            }
+
+            const m = (c === 'v' || c === 'V') && !/[\w-]/.test(text[i - 1] || '')
+                ? VAR_NAME.exec(text.slice(i))
+                : null;
+            const end = m ? findClose(text, i + 4) : -1;
+
+            if (end === -1) {
+                i++;
+                continue;
             }
 
-            let m = new DOMMatrix();
-            for (let i = 0; i < this.length; i++) {
-                m = m.multiply(this[i].toMatrix());
+            let fallback = null;
+            const rest = i + m[0].length;
+            if (text[rest] === ',') {
+                fallback = parseUnparsed(text.slice(rest + 1, end));
+            } else if (rest !== end) {
+                i++;
+                continue; // Malformed reference, kept as text
             }
-            return m;
+
+            push(text.slice(start, i));
+            members.push(new CSSVariableReferenceValue(m[1], fallback));
+            i = start = end + 1;
         }
+        push(text.slice(start));
+
+        return new CSSUnparsedValue(members);
     }
 
-    // --- 7. Parser ---
+    // Index of the parenthesis closing the one opened before `from`, or -1
+    function findClose(text, from) {
+        let depth = 1;
+        let quote = null;
+
+        for (let i = from; i < text.length; i++) {
+            const c = text[i];
+
+            if (quote) {
+                if (c === '\\') i++;
+                else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '(') {
+                depth++;
+            } else if (c === ')' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
 
     const Parser = {
         parse(prop, text) {
@@ -1133,38 +3940,253 @@
                 throw new TypeError(`Empty value for property "${prop}"`);
             }
 
-            // Special handling for transform
-            if (prop === 'transform') {
-                try {
-                    return this.parseTransform(text);
-                } catch (e) {
-                    if (STRICT_PROPS[prop] && !text.includes('var(')) {
-                        throw new TypeError(`Invalid transform: ${text}`);
-                    }
-                    return new CSSUnparsedValue([text]);
-                }
+            // Custom properties: typed only when registered
+            if (prop.startsWith('--')) {
+                return this.parseCustom(prop, text)[0];
+            }
+
+            // Shorthands are validated through their longhands
+            if (SHORTHANDS.hasOwnProperty(prop) && !/var\(/i.test(text)) {
+                expandShorthand(prop, text);
             }
 
+            const syntax = getPropertySyntax(prop);
+            const color = !!syntax && syntax.components.some(c => c.type === 'color');
+
+            if (color && isOpaqueColor(text)) return parseUnparsed(text);
+
             try {
-                const s = new Scanner(text);
-                s.scan();
-                const res = this.expr(s);
+                let res = color ? this.parseComponent(text, { type: 'color' }) : null;
+                const func = /^([a-z-]+)\(/i.exec(text);
+
+                if (res) {
+                    // Reified color
+                } else if (color && func && COLOR_FUNCS.hasOwnProperty(func[1].toLowerCase())) {
+                    // Report why the color function is invalid
+                    res = this.parseColor(text);
+                } else if (prop === 'transform' && !/^[a-z-]+$/i.test(text)) {
+                    // Special handling for transform lists (`none` is a keyword)
+                    res = this.parseTransform(text);
+                } else {
+                    const s = new Scanner(text);
+                    s.scan();
+                    res = this.expr(s);
 
-                if (s.type !== TT.EOF) {
-                    throw new Error("Unexpected tokens after expression");
+                    if (s.type !== TT.EOF) {
+                        throw new Error("Unexpected tokens after expression");
+                    }
+                }
+
+                if (syntax) {
+                    // A literal unitless zero is a valid <length>
+                    if (res instanceof CSSUnitValue && res.unit === 'number' &&
+                        res.value === 0 && !matchesSyntax(res, syntax)) {
+                        const zero = new CSSUnitValue(0, 'px');
+                        if (matchesSyntax(zero, syntax)) res = zero;
+                    }
+
+                    if (!matchesSyntax(res, syntax)) {
+                        const rounded = roundToInteger(res, text);
+                        if (matchesSyntax(rounded, syntax)) res = rounded;
+                    }
+
+                    if (!matchesSyntax(res, syntax)) {
+                        throw new Error(`Expected ${syntax.text}`);
+                    }
+
+                    const range = PROPERTY_RANGES.hasOwnProperty(prop) && PROPERTY_RANGES[prop];
+                    if (range && res instanceof CSSUnitValue && !text.includes('(') &&
+                        !(res.value >= range[0] && res.value <= range[1])) {
+                        throw new Error(range === NON_NEGATIVE
+                            ? "Expected a non-negative value"
+                            : `Expected a value in [${range[0]}, ${range[1]}]`);
+                    }
                 }
 
                 return res;
             } catch (e) {
                 // Strict properties must parse correctly unless they contain variables
-                if (STRICT_PROPS[prop] && !text.includes('var(')) {
+                if (syntax && !text.includes('var(')) {
                     throw new TypeError(
                         `Invalid value for ${prop}: ${text}. Error: ${e.message}`
                     );
                 }
 
                 // Fallback to unparsed value
-                return new CSSUnparsedValue([text]);
+                return parseUnparsed(text);
+            }
+        },
+
+        // Parses every value of a (possibly list-valued) property
+        parseList(prop, text) {
+            text = String(text).trim();
+
+            if (!text) {
+                throw new TypeError(`Empty value for property "${prop}"`);
+            }
+
+            if (prop.startsWith('--')) {
+                return this.parseCustom(prop, text);
+            }
+
+            // A var() may expand to any number of items, so it stays whole
+            if (COMMA_SEPARATED_PROPS[prop] && !/var\(/i.test(text)) {
+                return splitTopLevel(text, ',').map(item => this.parse(prop, item));
+            }
+            return [this.parse(prop, text)];
+        },
+
+        parseCustom(prop, text) {
+            const def = PROPERTY_REGISTRY.get(prop);
+
+            // Unregistered custom properties are plain token streams
+            if (!def) return [parseUnparsed(text)];
+
+            try {
+                return this.parseRegistered(def, text);
+            } catch (e) {
+                if (text.includes('var(')) return [parseUnparsed(text)];
+                throw e;
+            }
+        },
+
+        // Reifies text against a registration's syntax; returns the list items
+        parseRegistered(def, text) {
+            const syntax = def.syntax;
+
+            if (syntax.universal) return [parseUnparsed(text)];
+            if (CSS_WIDE_KEYWORDS[text.toLowerCase()]) return [new CSSKeywordValue(text)];
+
+            for (let comp of syntax.components) {
+                const items = comp.multiplier
+                    ? splitTopLevel(text, comp.multiplier === '#' ? ',' : ' ')
+                    : [text];
+                const values = items.map(item => this.parseComponent(item, comp));
+
+                if (values.length && values.every(v => v !== null)) return values;
+            }
+
+            throw new TypeError(
+                `Invalid value for ${def.name}: ${text}. Expected ${syntax.text}`
+            );
+        },
+
+        // Parses one component value against one syntax component, or null
+        parseComponent(text, comp) {
+            if (comp.type === 'color' && isOpaqueColor(text)) return parseUnparsed(text);
+            if (OPAQUE_SYNTAX[comp.type]) {
+                return OPAQUE_SYNTAX[comp.type].test(text)
+                    ? parseUnparsed(text)
+                    : null;
+            }
+
+            let value;
+            try {
+                if (comp.type === 'color') {
+                    value = this.parseColor(text);
+                } else if (comp.type === 'transform-list' || comp.type === 'transform-function') {
+                    value = this.parseTransform(text);
+                } else {
+                    const s = new Scanner(text);
+                    s.scan();
+                    value = this.expr(s);
+                    if (s.type !== TT.EOF) return null;
+                }
+            } catch (e) {
+                return null;
+            }
+
+            // A literal unitless zero is a valid <length>
+            if (value instanceof CSSUnitValue && value.unit === 'number' &&
+                value.value === 0 && (comp.type === 'length' || comp.type === 'length-percentage')) {
+                value = new CSSUnitValue(0, 'px');
+            }
+            if (comp.type === 'integer') value = roundToInteger(value, text);
+
+            return matchesComponent(value, comp) ? value : null;
+        },
+
+        // Parses a <color>: hex, named and system colors, currentcolor and
+        // the functional notations (legacy comma and modern space syntax)
+        parseColor(text) {
+            const name = text.toLowerCase();
+
+            if (name[0] === '#') return hexToRGB(name.slice(1));
+            if (name === 'currentcolor' || SYSTEM_COLORS.hasOwnProperty(name)) {
+                return new CSSKeywordValue(text);
+            }
+            if (name === 'transparent') return new CSSRGB(0, 0, 0, 0);
+            if (NAMED_COLORS.hasOwnProperty(name)) return hexToRGB(NAMED_COLORS[name]);
+            if (isOpaqueColor(text)) throw new Error(`Unsupported color syntax: ${text}`);
+
+            const s = new Scanner(text);
+            s.scan();
+
+            const func = s.str;
+            if (s.type !== TT.FUNC || !COLOR_FUNCS[func]) {
+                throw new Error(`Expected a color, got: ${text}`);
+            }
+            s.scan();
+
+            let space = null;
+            if (func === 'color') {
+                if (s.type !== TT.IDENT) {
+                    throw new Error("Expected a color space in color()");
+                }
+                space = s.str;
+                s.scan();
+            }
+
+            // Components are single values, so `/` introduces the alpha
+            const channels = [];
+            let alpha = null;
+            let commas = 0;
+
+            while (s.type !== TT.CLOSE && s.type !== TT.EOF) {
+                if (s.type === TT.COMMA) {
+                    // Legacy syntax puts a comma between every two components
+                    if (commas++ !== channels.length - 1) {
+                        throw new Error(`Mixed legacy and modern syntax in ${func}()`);
+                    }
+                    s.scan();
+                } else if (s.type === TT.OP && s.str === '/') {
+                    s.scan();
+                    alpha = this.factor(s);
+                } else if (alpha !== null) {
+                    throw new Error(`Unexpected tokens after alpha in ${func}()`);
+                } else {
+                    channels.push(this.factor(s));
+                }
+            }
+
+            if (s.type !== TT.CLOSE) {
+                throw new Error(`Expected closing parenthesis for ${func}()`);
+            }
+            s.scan();
+            if (s.type !== TT.EOF) {
+                throw new Error("Unexpected tokens after color");
+            }
+
+            if (commas) {
+                if (!LEGACY_COLOR_FUNCS[func] || alpha !== null || commas !== channels.length - 1) {
+                    throw new Error(`Mixed legacy and modern syntax in ${func}()`);
+                }
+                if (channels.length === 4) alpha = channels.pop();
+            }
+            if (channels.length !== 3) {
+                throw new Error(`${func}() requires 3 channels`);
+            }
+            if (alpha === null) alpha = 1;
+
+            switch (func) {
+                case 'rgb': case 'rgba': return new CSSRGB(...channels, alpha);
+                case 'hsl': case 'hsla': return new CSSHSL(...channels, alpha);
+                case 'hwb': return new CSSHWB(...channels, alpha);
+                case 'lab': return new CSSLab(...channels, alpha);
+                case 'lch': return new CSSLCH(...channels, alpha);
+                case 'oklab': return new CSSOKLab(...channels, alpha);
+                case 'oklch': return new CSSOKLCH(...channels, alpha);
+                default: return new CSSColor(space, channels, alpha);
             }
         },
 
@@ -1255,11 +4277,10 @@
                     let fallback = null;
 
                     if (s.type === TT.COMMA) {
-                        s.scan();
-
                         // Capture fallback using text slicing to preserve format
                         const fbStart = s.pos;
                         let balance = 0;
+                        s.scan();
 
                         while (s.type !== TT.EOF) {
                             if (s.type === TT.CLOSE && balance === 0) {
@@ -1277,12 +4298,9 @@
                             s.scan();
                         }
 
-                        const fbEnd = s.pos;
-                        const fbText = s.text.slice(fbStart, fbEnd).trim();
-
-                        if (fbText) {
-                            fallback = new CSSUnparsedValue([fbText]);
-                        }
+                        // The closing parenthesis has already been consumed
+                        const fbEnd = s.type === TT.CLOSE ? s.pos - 1 : s.pos;
+                        fallback = parseUnparsed(s.text.slice(fbStart, fbEnd));
                     }
 
                     if (s.type !== TT.CLOSE) {
@@ -1293,8 +4311,14 @@
                     return new CSSVariableReferenceValue(varName, fallback);
                 }
 
-                // Other functions
+                // Math functions; anything else is rejected before its
+                // arguments are read
+                if (!MATH_FUNCS.hasOwnProperty(name)) {
+                    throw new Error(`Unknown function: ${name}()`);
+                }
+
                 const args = [];
+                s.mathDepth++;
 
                 if (s.type !== TT.CLOSE) {
                     while (true) {
@@ -1312,6 +4336,7 @@
                     throw new Error(`Expected closing parenthesis for ${name}()`);
                 }
 
+                s.mathDepth--;
                 s.scan(); // consume ')'
 
                 // Handle different function types
@@ -1343,12 +4368,15 @@
                     return new CSSMathClamp(args[0], args[1], args[2]);
                 }
 
-                throw new Error(`Unknown function: ${name}()`);
+                return new MATH_FUNCTION_CLASSES[name](...args);
             }
 
-            // Keywords
+            // Keywords; inside math functions, the numeric constants
             if (s.type === TT.IDENT) {
-                const v = new CSSKeywordValue(s.str);
+                const key = s.str.toLowerCase();
+                const v = s.mathDepth && MATH_CONSTANTS.hasOwnProperty(key)
+                    ? new CSSUnitValue(MATH_CONSTANTS[key], 'number')
+                    : new CSSKeywordValue(s.str);
                 s.scan();
                 return v;
             }
@@ -1482,6 +4510,12 @@
                     } else {
                         throw new Error("matrix() requires 6 arguments");
                     }
+                } else if (name === 'matrix3d') {
+                    if (args.length === 16) {
+                        list.push(new CSSMatrixComponent(...args));
+                    } else {
+                        throw new Error("matrix3d() requires 16 arguments");
+                    }
                 } else {
                     throw new Error(`Unknown transform function: ${name}()`);
                 }
@@ -1491,80 +4525,447 @@
         }
     };
 
-    // --- 8. DOM Integration ---
+    // --- 9. Shorthands ---
+
+    const BOX_SIDES = ['top', 'right', 'bottom', 'left'];
+
+    const TIME = { type: 'time' };
+    const NUMBER = { type: 'number' };
+    const LENGTH = { type: 'length' };
+    const COLOR = { type: 'color' };
+
+    const isTimingFunction = (t) =>
+        /^(ease|linear|ease-in|ease-out|ease-in-out|step-start|step-end)$/i.test(t) ||
+        /^(cubic-bezier|steps|linear)\(/i.test(t);
+
+    const isIdent = (t) => /^-?[a-z_][\w-]*$/i.test(t);
+
+    // Four-sided shorthands: 1-4 values in top/right/bottom/left order
+    const boxShorthand = (longhands) => ({
+        longhands,
+        expand(text) {
+            const t = splitTopLevel(text, ' ');
+            if (t.length > 4) throw new Error("Expected 1 to 4 values");
+
+            const v = [t[0], t[1] || t[0], t[2] || t[0], t[3] || t[1] || t[0]];
+            const values = {};
+            longhands.forEach((name, i) => values[name] = v[i]);
+            return values;
+        },
+        compose(values) {
+            const [t, r, b, l] = longhands.map(name => values[name]);
+            if (l !== r) return `${t} ${r} ${b} ${l}`;
+            if (b !== t) return `${t} ${r} ${b}`;
+            if (r !== t) return `${t} ${r}`;
+            return t;
+        }
+    });
+
+    const BORDER_STYLES = {
+        'none': 1, 'hidden': 1, 'dotted': 1, 'dashed': 1, 'solid': 1,
+        'double': 1, 'groove': 1, 'ridge': 1, 'inset': 1, 'outset': 1
+    };
+    const BORDER_INITIAL = { width: 'medium', style: 'none', color: 'currentcolor' };
+
+    // `<line-width> || <line-style> || <color>`, omitted parts reset
+    const parseBorder = (text) => {
+        const parts = Object.assign({}, BORDER_INITIAL);
+        const seen = {};
+
+        for (let t of splitTopLevel(text, ' ')) {
+            const key = BORDER_STYLES[t.toLowerCase()] ? 'style'
+                : /^(thin|medium|thick)$/i.test(t) || Parser.parseComponent(t, LENGTH) ? 'width'
+                    : Parser.parseComponent(t, COLOR) ? 'color'
+                        : null;
+
+            if (!key || seen[key]) throw new Error(`Unexpected border component: ${t}`);
+            seen[key] = true;
+            parts[key] = t;
+        }
+        return parts;
+    };
+
+    const composeBorder = (w, s, c) => {
+        const parts = [];
+        if (w !== BORDER_INITIAL.width) parts.push(w);
+        if (s !== BORDER_INITIAL.style) parts.push(s);
+        if (c.toLowerCase() !== BORDER_INITIAL.color) parts.push(c);
+        return parts.join(' ') || BORDER_INITIAL.style;
+    };
+
+    const borderSide = (side) => {
+        const names = ['width', 'style', 'color'].map(k => `border-${side}-${k}`);
+        return {
+            longhands: names,
+            expand(text) {
+                const p = parseBorder(text);
+                return { [names[0]]: p.width, [names[1]]: p.style, [names[2]]: p.color };
+            },
+            compose(values) {
+                return composeBorder(...names.map(name => values[name]));
+            }
+        };
+    };
+
+    const FONT_STYLES = { 'italic': 1, 'oblique': 1 };
+    // Only a bare number is a weight; `12px/30px` would fold to one
+    const isFontWeight = (t) => {
+        const v = !t.includes('/') && Parser.parseComponent(t, NUMBER);
+        return v instanceof CSSUnitValue && v.value >= 1 && v.value <= 1000;
+    };
+    const FONT_WEIGHTS = { 'bold': 1, 'bolder': 1, 'lighter': 1 };
+    const FONT_STRETCHES = {
+        'ultra-condensed': 1, 'extra-condensed': 1, 'condensed': 1, 'semi-condensed': 1,
+        'semi-expanded': 1, 'expanded': 1, 'extra-expanded': 1, 'ultra-expanded': 1
+    };
+    // System fonts set every longhand to a platform value
+    const FONT_SYSTEM = {
+        'caption': 1, 'icon': 1, 'menu': 1, 'message-box': 1,
+        'small-caption': 1, 'status-bar': 1
+    };
+    const FONT_LONGHANDS = [
+        'font-style', 'font-variant', 'font-weight', 'font-stretch',
+        'font-size', 'line-height', 'font-family'
+    ];
+
+    // Comma-separated list shorthands. Each token is claimed by the first
+    // free longhand (in `claims` order) that accepts it; `order` is the
+    // serialisation order, where `keep` forces out a value that a later
+    // non-initial one depends on (a delay needs its duration). Tokens
+    // matching `opaque` belong to a longhand not modelled here, so the
+    // value cannot be split.
+    const listShorthand = (claims, order, empty, opaque) => ({
+        longhands: claims.map(c => c.name),
+        expand(text) {
+            const lists = claims.map(() => []);
+
+            for (let item of splitTopLevel(text, ',')) {
+                const found = claims.map(() => null);
+
+                for (let t of splitTopLevel(item, ' ')) {
+                    if (opaque && opaque.test(t)) return null;
+                    const i = claims.findIndex((c, j) => found[j] === null && c.accepts(t));
+                    if (i === -1) throw new Error(`Unexpected component: ${t}`);
+                    found[i] = t;
+                }
+                found.forEach((v, i) => lists[i].push(v === null ? claims[i].initial : v));
+            }
+
+            const values = {};
+            claims.forEach((c, i) => values[c.name] = lists[i].join(', '));
+            return values;
+        },
+        compose(values) {
+            const lists = claims.map(c => splitTopLevel(values[c.name], ','));
+            if (lists.some(l => l.length !== lists[0].length)) return null;
+
+            const byName = {};
+            claims.forEach((c, i) => byName[c.name] = { claim: c, list: lists[i] });
+
+            return lists[0].map((_, i) => {
+                const changed = (name) => byName[name].list[i] !== byName[name].claim.initial;
+                return order
+                    .filter(name => changed(name) ||
+                        (byName[name].claim.keep && changed(byName[name].claim.keep)))
+                    .map(name => byName[name].list[i])
+                    .join(' ') || empty;
+            }).join(', ');
+        }
+    });
+
+    const isTime = (t) => !!Parser.parseComponent(t, TIME);
+
+    const SHORTHANDS = {
+        'margin': boxShorthand(BOX_SIDES.map(s => `margin-${s}`)),
+        'padding': boxShorthand(BOX_SIDES.map(s => `padding-${s}`)),
+        'inset': boxShorthand(BOX_SIDES),
+        'border-width': boxShorthand(BOX_SIDES.map(s => `border-${s}-width`)),
+        'border-style': boxShorthand(BOX_SIDES.map(s => `border-${s}-style`)),
+        'border-color': boxShorthand(BOX_SIDES.map(s => `border-${s}-color`)),
+        'border-top': borderSide('top'),
+        'border-right': borderSide('right'),
+        'border-bottom': borderSide('bottom'),
+        'border-left': borderSide('left'),
+
+        'border': {
+            longhands: [].concat(...BOX_SIDES.map(s => borderSide(s).longhands)),
+            expand(text) {
+                const p = parseBorder(text);
+                const values = {};
+                for (let s of BOX_SIDES) {
+                    values[`border-${s}-width`] = p.width;
+                    values[`border-${s}-style`] = p.style;
+                    values[`border-${s}-color`] = p.color;
+                }
+                return values;
+            },
+            // Only representable when all four sides agree
+            compose(values) {
+                const sides = BOX_SIDES.map(s => SHORTHANDS[`border-${s}`].compose(values));
+                return sides.every(s => s === sides[0]) ? sides[0] : null;
+            }
+        },
+
+        // none | [ <flex-grow> <flex-shrink>? || <flex-basis> ]
+        'flex': {
+            longhands: ['flex-grow', 'flex-shrink', 'flex-basis'],
+            expand(text) {
+                const keyword = text.toLowerCase();
+                const nums = [];
+                let basis = null;
+
+                if (keyword === 'none') {
+                    nums.push('0', '0');
+                    basis = 'auto';
+                } else if (keyword === 'auto') {
+                    nums.push('1', '1');
+                    basis = 'auto';
+                } else {
+                    for (let t of splitTopLevel(text, ' ')) {
+                        if (nums.length < 2 && Parser.parseComponent(t, NUMBER)) {
+                            nums.push(t);
+                        } else if (basis === null) {
+                            basis = t;
+                        } else {
+                            throw new Error(`Unexpected flex component: ${t}`);
+                        }
+                    }
+                }
+
+                return {
+                    'flex-grow': nums[0] || '1',
+                    'flex-shrink': nums[1] || '1',
+                    'flex-basis': basis || (nums.length ? '0%' : 'auto')
+                };
+            },
+            compose(values) {
+                return `${values['flex-grow']} ${values['flex-shrink']} ${values['flex-basis']}`;
+            }
+        },
+
+        // [ <style> || <variant> || <weight> || <stretch> ]? <size> [ / <line-height> ]? <family>
+        'font': {
+            longhands: FONT_LONGHANDS,
+            expand(text) {
+                if (FONT_SYSTEM[text.toLowerCase()]) return null;
+
+                const values = {};
+                FONT_LONGHANDS.forEach(name => values[name] = 'normal');
+
+                const tokens = splitTopLevel(text, ' ');
+                let i = 0;
+
+                for (; i < tokens.length; i++) {
+                    const t = tokens[i];
+                    const k = t.toLowerCase();
+
+                    if (k === 'normal') continue;
+                    if (FONT_STYLES[k]) values['font-style'] = t;
+                    else if (k === 'small-caps') values['font-variant'] = t;
+                    else if (FONT_WEIGHTS[k] || isFontWeight(t)) values['font-weight'] = t;
+                    else if (FONT_STRETCHES[k]) values['font-stretch'] = t;
+                    else break;
+                }
+
+                let size = tokens[i++];
+                let lineHeight = null;
+
+                if (size && size.includes('/')) {
+                    [size, lineHeight] = size.split('/');
+                } else if (tokens[i] && tokens[i][0] === '/') {
+                    lineHeight = tokens[i++].slice(1);
+                }
+                if (lineHeight === '') lineHeight = tokens[i++];
+
+                const family = tokens.slice(i).join(' ');
+                if (!size || !family) throw new Error("font requires a size and a family");
+
+                values['font-size'] = size;
+                if (lineHeight) values['line-height'] = lineHeight;
+                values['font-family'] = family;
+                return values;
+            },
+            compose(values) {
+                const parts = ['font-style', 'font-variant', 'font-weight', 'font-stretch']
+                    .map(name => values[name])
+                    .filter(v => v !== 'normal');
+
+                const lineHeight = values['line-height'];
+                parts.push(values['font-size'] + (lineHeight !== 'normal' ? `/${lineHeight}` : ''));
+                parts.push(values['font-family']);
+                return parts.join(' ');
+            }
+        },
+
+        'transition': listShorthand([
+            { name: 'transition-duration', initial: '0s', accepts: isTime, keep: 'transition-delay' },
+            { name: 'transition-delay', initial: '0s', accepts: isTime },
+            { name: 'transition-timing-function', initial: 'ease', accepts: isTimingFunction },
+            { name: 'transition-property', initial: 'all', accepts: isIdent }
+        ], [
+            'transition-property', 'transition-duration',
+            'transition-timing-function', 'transition-delay'
+        ], 'all', /^(normal|allow-discrete)$/i),
+
+        'animation': listShorthand([
+            { name: 'animation-duration', initial: '0s', accepts: isTime, keep: 'animation-delay' },
+            { name: 'animation-delay', initial: '0s', accepts: isTime },
+            { name: 'animation-timing-function', initial: 'ease', accepts: isTimingFunction },
+            {
+                name: 'animation-iteration-count', initial: '1',
+                accepts: t => /^infinite$/i.test(t) || !!Parser.parseComponent(t, NUMBER)
+            },
+            {
+                name: 'animation-direction', initial: 'normal',
+                accepts: t => /^(normal|reverse|alternate|alternate-reverse)$/i.test(t)
+            },
+            {
+                name: 'animation-fill-mode', initial: 'none',
+                accepts: t => /^(none|forwards|backwards|both)$/i.test(t)
+            },
+            { name: 'animation-play-state', initial: 'running', accepts: t => /^(running|paused)$/i.test(t) },
+            { name: 'animation-name', initial: 'none', accepts: t => isIdent(t) || /^["']/.test(t) }
+        ], [
+            'animation-duration', 'animation-timing-function', 'animation-delay',
+            'animation-iteration-count', 'animation-direction', 'animation-fill-mode',
+            'animation-play-state', 'animation-name'
+        ], 'none')
+    };
+
+    // Longhand -> shorthands that set it
+    const LONGHAND_OWNERS = {};
+    for (let prop in SHORTHANDS) {
+        for (let name of SHORTHANDS[prop].longhands) {
+            (LONGHAND_OWNERS[name] = LONGHAND_OWNERS[name] || []).push(prop);
+        }
+    }
+
+    // Splits a shorthand value into longhand texts, validating each against
+    // its grammar. CSS-wide keywords apply to every longhand. Returns null
+    // for a valid value that has no longhand form here (font: menu).
+    function expandShorthand(prop, text) {
+        const shorthand = SHORTHANDS[prop];
+        text = text.trim();
+
+        try {
+            let values;
+            if (CSS_WIDE_KEYWORDS[text.toLowerCase()]) {
+                values = {};
+                shorthand.longhands.forEach(name => values[name] = text);
+            } else {
+                values = shorthand.expand(text);
+                if (!values) return null;
+            }
+
+            for (let name in values) {
+                if (getPropertySyntax(name)) Parser.parseList(name, values[name]);
+            }
+            return values;
+        } catch (e) {
+            if (e instanceof TypeError) throw e; // A longhand's grammar error
+            throw new TypeError(`Invalid value for ${prop}: ${text}. Error: ${e.message}`);
+        }
+    }
+
+    // Serialises a shorthand from its longhands (`read` returns their text),
+    // or null when one is missing or the combination is not representable
+    function composeShorthand(prop, read) {
+        const shorthand = SHORTHANDS[prop];
+        const values = {};
+
+        for (let name of shorthand.longhands) {
+            const v = read(name);
+            if (!v) return null;
+            values[name] = v.trim();
+        }
+
+        const first = values[shorthand.longhands[0]];
+        const wide = shorthand.longhands.filter(name => CSS_WIDE_KEYWORDS[values[name].toLowerCase()]);
+        if (wide.length) {
+            return wide.length === shorthand.longhands.length &&
+                wide.every(name => values[name] === first) ? first : null;
+        }
+        return shorthand.compose(values);
+    }
+
+    // --- 10. DOM Integration ---
 
     const toKebab = (prop) => {
         let cached = KEBAB_CACHE.get(prop);
         if (cached !== undefined) return cached;
 
-        const kebab = prop.replace(/([A-Z])/g, '-$1').toLowerCase();
+        // Custom property names are case-sensitive
+        const kebab = prop.startsWith('--')
+            ? prop
+            : prop.replace(/([A-Z])/g, '-$1').toLowerCase();
         KEBAB_CACHE.set(prop, kebab);
         return kebab;
     };
 
-    const COMMA_SEPARATED_PROPS = {
-        'transition': 1,
-        'animation': 1,
-        'box-shadow': 1,
-        'text-shadow': 1,
-        'background': 1,
-        'background-image': 1,
-        'font-family': 1,
-        'stroke-dasharray': 1,
-        'transform': 0  // Space-separated
-    };
-
     class StylePropertyMapReadOnly {
-        constructor(element) {
-            if (!element || !element.style) {
+        constructor(element, style) {
+            // `style` overrides the source declaration (e.g. getComputedStyle)
+            style = style || (element && element.style);
+            if (!style) {
                 throw new TypeError("Element must have a style property");
             }
 
             this._el = element;
-            this._style = element.style;
+            this._style = style;
+        }
+
+        // Declared text of a property: shorthands are recomposed from their
+        // longhands, and longhands read out of a declared shorthand
+        _read(prop) {
+            if (SHORTHANDS.hasOwnProperty(prop)) {
+                const composed = composeShorthand(prop, name => this._read(name));
+                if (composed) return composed;
+            }
+
+            const val = this._style.getPropertyValue(prop);
+            if (val || !LONGHAND_OWNERS[prop]) return val;
+
+            for (let owner of LONGHAND_OWNERS[prop]) {
+                const text = this._style.getPropertyValue(owner);
+                if (!text || /var\(/i.test(text)) continue;
+                try {
+                    const values = expandShorthand(owner, text);
+                    if (values) return values[prop];
+                } catch (e) { }
+            }
+            return '';
         }
 
         get(prop) {
             const kProp = toKebab(prop);
-            const val = this._style.getPropertyValue(kProp);
+            const val = this._read(kProp);
 
             if (!val) return null;
 
+            // List-valued properties return their first item; a value that
+            // fails the grammar is returned unparsed, as getAll() does
             try {
-                return Parser.parse(kProp, val);
+                return Parser.parseList(kProp, val)[0];
             } catch (e) {
-                console.warn(`Moonlight: Parse error for ${kProp}:`, e.message);
-                return new CSSUnparsedValue([val]);
+                return parseUnparsed(val);
             }
         }
 
         getAll(prop) {
             const kProp = toKebab(prop);
-            const val = this._style.getPropertyValue(kProp);
+            const val = this._read(kProp);
 
             if (!val) return [];
 
             try {
-                // For comma-separated properties, split and parse each
-                if (COMMA_SEPARATED_PROPS[kProp]) {
-                    const parts = val.split(',').map(p => p.trim());
-                    return parts.map(p => {
-                        try {
-                            return Parser.parse(kProp, p);
-                        } catch (e) {
-                            return new CSSUnparsedValue([p]);
-                        }
-                    });
-                }
-
-                return [Parser.parse(kProp, val)];
+                return Parser.parseList(kProp, val);
             } catch (e) {
-                return [new CSSUnparsedValue([val])];
+                return [parseUnparsed(val)];
             }
         }
 
         has(prop) {
-            return !!this._style.getPropertyValue(toKebab(prop));
+            return !!this._read(toKebab(prop));
         }
 
         get size() {
@@ -1612,6 +5013,23 @@
     }
 
     class StylePropertyMap extends StylePropertyMapReadOnly {
+        // Shorthands are written as their longhands; one holding a var(),
+        // or without a longhand form (font: menu), is declared as is
+        _write(prop, text) {
+            const shorthand = SHORTHANDS[prop];
+            const values = shorthand && !/var\(/i.test(text) ? expandShorthand(prop, text) : null;
+
+            if (!shorthand) {
+                this._style.setProperty(prop, text);
+            } else if (!values) {
+                shorthand.longhands.forEach(name => this._style.removeProperty(name));
+                this._style.setProperty(prop, text);
+            } else {
+                this._style.removeProperty(prop);
+                for (let name in values) this._style.setProperty(name, values[name]);
+            }
+        }
+
         set(prop, ...values) {
             const kProp = toKebab(prop);
 
@@ -1621,14 +5039,27 @@
                 );
             }
 
+            // Typed values must match the property grammar, as natively
+            const syntax = getPropertySyntax(kProp);
+            if (syntax) {
+                for (let v of values) {
+                    const typed = typeof v === 'number' ? new CSSUnitValue(v, 'number') : v;
+                    if (typed instanceof CSSStyleValue && !matchesSyntax(typed, syntax)) {
+                        throw new TypeError(
+                            `Failed to execute 'set': Invalid type for property "${kProp}": ${typed}`
+                        );
+                    }
+                }
+            }
+
             const valStr = values.map(v => {
                 if (v && typeof v.toString === 'function') {
                     return v.toString();
                 }
                 return String(v);
-            }).join(' ');
+            }).join(listSeparator(kProp));
 
-            this._style.setProperty(kProp, valStr);
+            this._write(kProp, valStr);
         }
 
         append(prop, ...values) {
@@ -1645,21 +5076,24 @@
                     return v.toString();
                 }
                 return String(v);
-            }).join(' ');
+            }).join(listSeparator(kProp));
 
-            const current = this._style.getPropertyValue(kProp);
+            const current = this._read(kProp);
 
             if (!current) {
-                this._style.setProperty(kProp, newPart);
+                this._write(kProp, newPart);
             } else {
-                const separator = COMMA_SEPARATED_PROPS[kProp] ? ', ' : ' ';
-                this._style.setProperty(kProp, current + separator + newPart);
+                this._write(kProp, current + listSeparator(kProp) + newPart);
             }
         }
 
         delete(prop) {
             const kProp = toKebab(prop);
             this._style.removeProperty(kProp);
+
+            if (SHORTHANDS.hasOwnProperty(kProp)) {
+                SHORTHANDS[kProp].longhands.forEach(name => this._style.removeProperty(name));
+            }
         }
 
         clear() {
@@ -1667,12 +5101,14 @@
         }
     }
 
-    // Install attributeStyleMap on HTMLElement
-    if (typeof HTMLElement !== 'undefined' &&
-        !HTMLElement.prototype.hasOwnProperty('attributeStyleMap')) {
-        const mapCache = new WeakMap();
+    // One StylePropertyMap per owner (element or rule), over its `style`
+    const mapCache = new WeakMap();
+
+    const installStyleMap = (ctor, name, force) => {
+        if (typeof ctor !== 'function') return;
+        if (!force && ctor.prototype.hasOwnProperty(name)) return;
 
-        Object.defineProperty(HTMLElement.prototype, 'attributeStyleMap', {
+        Object.defineProperty(ctor.prototype, name, {
             enumerable: true,
             configurable: true,
             get() {
@@ -1682,9 +5118,133 @@
                 return mapCache.get(this);
             }
         });
+    };
+
+    // Install attributeStyleMap on HTMLElement, styleMap on stylesheet rules,
+    // and a read-only computedStyleMap on Element (over getComputedStyle)
+    function installDOM(target, force) {
+        installStyleMap(target.HTMLElement, 'attributeStyleMap', force);
+        for (let rule of ['CSSStyleRule', 'CSSKeyframeRule', 'CSSPageRule']) {
+            installStyleMap(target[rule], 'styleMap', force);
+        }
+
+        const Element = target.Element;
+        if (typeof Element !== 'function' ||
+            typeof target.getComputedStyle !== 'function' ||
+            (!force && Element.prototype.hasOwnProperty('computedStyleMap'))) {
+            return;
+        }
+
+        const computedCache = new WeakMap();
+
+        Object.defineProperty(Element.prototype, 'computedStyleMap', {
+            enumerable: true,
+            configurable: true,
+            writable: true,
+            value: function computedStyleMap(pseudoElt = null) {
+                // One live map per (element, pseudo-element) pair
+                let maps = computedCache.get(this);
+                if (!maps) {
+                    maps = new Map();
+                    computedCache.set(this, maps);
+                }
+
+                const key = pseudoElt || '';
+                if (!maps.has(key)) {
+                    const style = windowOf(this, target).getComputedStyle(this, pseudoElt);
+                    maps.set(key, new StylePropertyMapReadOnly(this, style));
+                }
+                return maps.get(key);
+            }
+        });
+    }
+
+    // --- 11. Native Comparison ---
+    // Runs the same cases through Moonlight and a reference implementation
+    // (the native Typed OM by default) and reports where they disagree.
+
+    // Operations applied to every numeric result, on both sides
+    const COMPARE_OPS = {
+        add: v => v.add(v),
+        sub: v => v.sub(v),
+        mul: v => v.mul(2),
+        div: v => v.div(2),
+        min: v => v.min(v),
+        max: v => v.max(v),
+        negate: v => v.negate(),
+        invert: v => v.invert(),
+        toSum: v => v.toSum()
+    };
+
+    // Outcomes are strings so they compare across realms; errors compare by
+    // class name only, since messages differ between engines
+    const outcome = (fn) => {
+        try {
+            return String(fn());
+        } catch (e) {
+            return `${e && e.name || 'Error'}!`;
+        }
+    };
+
+    const typeOutcome = (v) => outcome(() => {
+        const t = v.type();
+        return JSON.stringify(Object.keys(t).sort().map(k => [k, t[k]]));
+    });
+
+    function runCase(impl, prop, text) {
+        let value = null;
+        const result = {
+            parse: outcome(() => {
+                value = impl.CSSStyleValue.parse(prop, text);
+                return value.constructor.name;
+            })
+        };
+        if (!value) return result;
+
+        result.toString = outcome(() => value.toString());
+        if (value instanceof impl.CSSNumericValue) {
+            result.type = typeOutcome(value);
+            for (let op in COMPARE_OPS) {
+                result[op] = outcome(() => COMPARE_OPS[op](value));
+            }
+        }
+        return result;
+    }
+
+    // Cases are [property, text] pairs or { property, text } objects.
+    // `reference` is any object exposing CSSStyleValue and CSSNumericValue.
+    function compareWithNative(cases, reference = getNative()) {
+        if (!reference || !reference.CSSStyleValue ||
+            typeof reference.CSSStyleValue.parse !== 'function') {
+            throw new TypeError("No native CSS Typed OM to compare against");
+        }
+        if (!Array.isArray(cases)) {
+            throw new TypeError("compareWithNative() requires an array of cases");
+        }
+
+        const report = { total: cases.length, passed: 0, failed: 0, mismatches: [] };
+        for (let c of cases) {
+            const [property, text] = Array.isArray(c) ? c : [c.property, c.text];
+            const expected = runCase(reference, property, text);
+            const actual = runCase(exports, property, text);
+
+            let passed = true;
+            const checks = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+            for (let check of checks) {
+                if (expected[check] === actual[check]) continue;
+                passed = false;
+                report.mismatches.push({
+                    property, text, check,
+                    native: expected[check] ?? null,
+                    polyfill: actual[check] ?? null
+                });
+            }
+            passed ? report.passed++ : report.failed++;
+        }
+        return report;
     }
 
-    // --- 9. Exports ---
+    // --- 12. Exports ---
 
     const exports = {
         // Core
@@ -1704,6 +5264,24 @@
         CSSMathMin,
         CSSMathMax,
         CSSMathClamp,
+        CSSMathFunction,
+        CSSMathRound,
+        CSSMathMod,
+        CSSMathRem,
+        CSSMathAbs,
+        CSSMathSign,
+        CSSMathSin,
+        CSSMathCos,
+        CSSMathTan,
+        CSSMathAsin,
+        CSSMathAcos,
+        CSSMathAtan,
+        CSSMathAtan2,
+        CSSMathPow,
+        CSSMathSqrt,
+        CSSMathHypot,
+        CSSMathLog,
+        CSSMathExp,
 
         // Transform
         CSSTransformValue,
@@ -1717,16 +5295,89 @@
         CSSPerspective,
         CSSMatrixComponent,
 
+        // Color
+        CSSColorValue,
+        CSSRGB,
+        CSSHSL,
+        CSSHWB,
+        CSSLab,
+        CSSLCH,
+        CSSOKLab,
+        CSSOKLCH,
+        CSSColor,
+
         // Maps
         StylePropertyMap,
         StylePropertyMapReadOnly
     };
 
-    for (let k in exports) global[k] ??= exports[k];
+    // CSS namespace: unit factories plus registerProperty
+    const CSS = { registerProperty };
+    for (let u in UNIT_MAP) u && (CSS[u] = v => new CSSUnitValue(v, u));
+
+    const installed = new WeakSet();
+
+    // Native classes and CSS namespace members replaced by a forced install
+    const natives = new WeakMap();
 
-    // CSS Namespace
-    global.CSS = global.CSS || {};
+    const getNative = (target = global) =>
+        natives.get(target) ||
+        (!installed.has(target) && hasNativeSupport(target) ? target : null);
 
-    // Create factory methods for all units
-    for (let u in UNIT_MAP) u && (global.CSS[u] = v => new CSSUnitValue(v, u));
-})(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
+    // Installs the polyfill onto `target` (the global object by default).
+    // Skipped when native Typed OM is present unless `force` is set; a forced
+    // call also reinstalls over an earlier install. Returns whether Moonlight
+    // is installed.
+    function install(target = global, { force = false } = {}) {
+        const reinstall = installed.has(target);
+        if (reinstall && !force) return true;
+        if (!reinstall && !force && hasNativeSupport(target)) return false;
+
+        if (!reinstall && hasNativeSupport(target)) {
+            const saved = { CSS: Object.assign({}, target.CSS) };
+            for (let k in exports) {
+                if (target[k] != null) saved[k] = target[k];
+            }
+            natives.set(target, saved);
+        }
+
+        for (let k in exports) {
+            if (force || target[k] == null) target[k] = exports[k];
+        }
+
+        target.CSS = target.CSS || {};
+
+        // Registered custom properties; native registration runs first, so a
+        // definition it rejects is not recorded either. A reinstall keeps the
+        // existing wrapper rather than wrapping it again.
+        if (!reinstall) {
+            const nativeRegisterProperty = target.CSS.registerProperty;
+            target.CSS.registerProperty = function (definition) {
+                const def = createRegistration(definition);
+                if (typeof nativeRegisterProperty === 'function') {
+                    nativeRegisterProperty.call(this, definition);
+                    def.native = true;
+                }
+                PROPERTY_REGISTRY.set(def.name, def);
+            };
+        }
+
+        for (let u in UNIT_MAP) u && (target.CSS[u] = CSS[u]);
+
+        installDOM(target, force);
+        installed.add(target);
+        return true;
+    }
+
+    const moonlight = Object.assign({ CSS, install, getNative, compareWithNative }, exports);
+
+    // As a module, export without side effects; as a script, install and
+    // expose the API (e.g. for a later forced install)
+    if (typeof module === 'object' && module && module.exports) {
+        module.exports = moonlight;
+    } else {
+        global.Moonlight ??= moonlight;
+        install(global);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis
+    : typeof window !== 'undefined' ? window : this);
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Moonlight CSS Typed OM Polyfill — ES module entry
+ *
+ * Re-exports the CommonJS build without touching globals.
+ * Call install() to polyfill the global object.
+ */
+
+import moonlight from './cssom.js';
+
+export const {
+    // Setup
+    CSS,
+    install,
+    getNative,
+    compareWithNative,
+
+    // Core
+    CSSStyleValue,
+    CSSNumericValue,
+    CSSUnitValue,
+    CSSKeywordValue,
+    CSSUnparsedValue,
+    CSSVariableReferenceValue,
+
+    // Math
+    CSSMathValue,
+    CSSMathSum,
+    CSSMathProduct,
+    CSSMathNegate,
+    CSSMathInvert,
+    CSSMathMin,
+    CSSMathMax,
+    CSSMathClamp,
+    CSSMathFunction,
+    CSSMathRound,
+    CSSMathMod,
+    CSSMathRem,
+    CSSMathAbs,
+    CSSMathSign,
+    CSSMathSin,
+    CSSMathCos,
+    CSSMathTan,
+    CSSMathAsin,
+    CSSMathAcos,
+    CSSMathAtan,
+    CSSMathAtan2,
+    CSSMathPow,
+    CSSMathSqrt,
+    CSSMathHypot,
+    CSSMathLog,
+    CSSMathExp,
+
+    // Transform
+    CSSTransformValue,
+    CSSTransformComponent,
+    CSSTranslate,
+    CSSRotate,
+    CSSScale,
+    CSSSkew,
+    CSSSkewX,
+    CSSSkewY,
+    CSSPerspective,
+    CSSMatrixComponent,
+
+    // Color
+    CSSColorValue,
+    CSSRGB,
+    CSSHSL,
+    CSSHWB,
+    CSSLab,
+    CSSLCH,
+    CSSOKLab,
+    CSSOKLCH,
+    CSSColor,
+
+    // Maps
+    StylePropertyMap,
+    StylePropertyMapReadOnly
+} = moonlight;
+
+export default moonlight;